@@ -2,7 +2,7 @@
  * Basic usage example for claude-code-spawn
  */
 
-const { runCommand, runClaude, testSimpleCommand } = require('../index');
+const { runCommand, runClaude, testSimpleCommand, CreditBalanceError } = require('../index');
 
 async function basicExample() {
   console.log('=== Claude Code Spawn - Basic Usage Example ===\n');
@@ -39,7 +39,7 @@ async function basicExample() {
     console.log('✓ Claude responded successfully');
   } catch (error) {
     console.error('✗ Claude execution failed:', error.message);
-    if (error.message.includes('Credit balance')) {
+    if (error instanceof CreditBalanceError) {
       console.log('  💡 This is likely due to running inside Claude Code environment');
       console.log('     Try running from a regular terminal or server');
     }
@@ -19,6 +19,7 @@ async function fireAndForgetExample() {
     
     console.log('✓ Claude process started in background');
     console.log('Process ID:', result.pid);
+    console.log('Task ID:', result.taskId);
     console.log('Detached:', result.detached);
     console.log('Message:', result.message);
     
@@ -75,32 +76,29 @@ async function fireAndForgetExample() {
 
   console.log('\n💡 Note: These tasks are running in background');
   console.log('   You can continue with other work while they execute');
-  console.log('   Check your system processes to see them running');
+  console.log('   Run `claude-spawn tasks` to see their status');
 
   console.log('\n=== Example Complete ===');
 }
 
-// Utility function to check running processes
+// Utility function to check background Claude tasks
 async function checkRunningClaude() {
-  const { runCommand } = require('../index');
+  const { listTasks } = require('../index');
   
-  console.log('Checking for running Claude processes...');
+  console.log('Checking background Claude tasks...');
   try {
-    const result = await runCommand('ps', ['aux'], { logging: false });
-    const claudeProcesses = result.stdout
-      .split('\n')
-      .filter(line => line.includes('claude') && !line.includes('grep'));
+    const tasks = await listTasks();
     
-    if (claudeProcesses.length > 0) {
-      console.log(`Found ${claudeProcesses.length} Claude processes:`);
-      claudeProcesses.forEach((proc, i) => {
-        console.log(`  ${i + 1}. ${proc.trim()}`);
+    if (tasks.length > 0) {
+      console.log(`Found ${tasks.length} Claude tasks:`);
+      tasks.forEach((task, i) => {
+        console.log(`  ${i + 1}. ${task.id} [${task.status}] PID ${task.pid}: ${task.prompt}`);
       });
     } else {
-      console.log('No Claude processes found');
+      console.log('No Claude tasks found');
     }
   } catch (error) {
-    console.error('Failed to check processes:', error.message);
+    console.error('Failed to check tasks:', error.message);
   }
 }
 
@@ -108,7 +106,7 @@ async function checkRunningClaude() {
 if (require.main === module) {
   fireAndForgetExample()
     .then(() => {
-      console.log('\n🔍 Checking running processes...');
+      console.log('\n🔍 Checking background tasks...');
       return checkRunningClaude();
     })
     .catch(console.error);
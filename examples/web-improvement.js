@@ -3,7 +3,7 @@
  * Demonstrates using Claude for website enhancement tasks
  */
 
-const { runClaudeTask, runCommand } = require('../index');
+const { runClaudeTask, runCommand, CreditBalanceError } = require('../index');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -48,7 +48,7 @@ Please provide specific, actionable recommendations.
       
     } catch (error) {
       console.error('✗ Failed to start analysis:', error.message);
-      if (error.message.includes('Credit balance')) {
+      if (error instanceof CreditBalanceError) {
         console.log('  💡 This error suggests running inside Claude Code environment');
         console.log('     For production use, deploy to a server environment');
       }
@@ -8,8 +8,54 @@
  */
 
 const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const stream = require('stream');
+const { promisify } = require('util');
 const Logger = require('./lib/logger');
+const ProcessHandle = require('./lib/process-handle');
+const errors = require('./lib/errors');
+const {
+  AbortError,
+  CommandFailedError,
+  TimeoutError,
+  IdleTimeoutError,
+  SpawnError,
+  classifyClaudeError
+} = errors;
+const { RUNNER_ENV, RUNNER_PATH } = require('./lib/detached-runner');
+const {
+  SUPPORTED: PROCESS_GROUPS_SUPPORTED,
+  trackGroup,
+  untrackGroup,
+  signalProcess
+} = require('./lib/process-group');
+const taskRegistry = require('./lib/task-registry');
+const TaskPool = require('./lib/pool');
+const Scheduler = require('./lib/scheduler');
+const Conversation = require('./lib/conversation');
+const { buildClaudeArgs, resolveClaudeOptions } = require('./lib/claude-args');
+const { retry: retryWithBackoff, normalizeRetryOptions, isTransientError } = require('./lib/retry');
+const { StreamJsonParser, parseStreamJson } = require('./lib/stream-json');
+const { pruneLogs } = require('./lib/log-retention');
+const { searchSessions } = require('./lib/log-search');
+const { followLog } = require('./lib/log-follow');
+const { Redactor, createRedactor } = require('./lib/redact');
+const { exportSession } = require('./lib/log-export');
+const { serializableTransports } = require('./lib/log-transports');
+const { resolveConfig, applyConfig } = require('./lib/config');
+const batch = require('./lib/batch');
+const workflows = require('./lib/workflow');
+const worktrees = require('./lib/worktree');
+const { snapshotTree, compareSnapshots } = require('./lib/changes');
+const { loadTemplate, renderTemplate } = require('./lib/template');
+
+const pipeline = promisify(stream.pipeline);
+
+// Prompts longer than this are written to Claude's stdin instead of argv
+const PROMPT_STDIN_THRESHOLD = 16 * 1024;
 
 // Check for nested Claude execution
 if (process.env.CLAUDECODE) {
@@ -33,9 +79,31 @@ if (process.env.CLAUDECODE) {
  * @param {string} options.logDir - Directory to save logs
  * @param {string} options.logLevel - Log level ('full' or 'minimal')
  * @param {boolean} options.logToConsole - Log to console
- * @returns {Promise<Object>} Promise that resolves with the result
+ * @param {number|string} options.maxLogSize - Stop logging output once the session log reaches this size
+ * @param {Object} options.logRetention - Prune the log directory when the session starts (see pruneLogs)
+ * @param {boolean|Object} options.redact - Redact secrets from console output and logs: true for the
+ *   built-in detectors, or `{ builtIn, patterns, env }`
+ * @param {Array} options.logTransports - Where log entries go: 'file' (default), 'stdout', 'stderr',
+ *   an http(s) URL, `{ type, ...options }` or an object with `write(entry, line)`
+ * @param {Function} options.onLogError - Called with `(error, transport)` when a transport fails
+ *   (default: warn once per transport)
+ * @param {Function} options.onStdout - Called with each stdout chunk; if it throws, the process is
+ *   terminated and the run rejects with that error
+ * @param {Function} options.onStderr - Called with each stderr chunk
+ * @param {boolean} options.echoStdout - Write stdout to the session log and console (default: true)
+ * @param {AbortSignal} options.signal - Abort the process
+ * @param {Logger} options.logger - Write into an existing, already initialized log session
+ * @param {string} options.parentSessionId - Session this run belongs to, such as a workflow's; recorded in session_start
+ * @param {string|Buffer|stream.Readable} options.input - Written to the child's stdin, which is then closed
+ * @param {Object} options.logPrompt - `{ text, via, template }` written to the session log as a `prompt` entry
+ * @param {number} options.idleTimeout - Terminate after this many milliseconds without stdout or stderr
+ * @param {string} options.killSignal - First signal sent on timeout or abort (default: 'SIGTERM')
+ * @param {number|null} options.killGracePeriod - Milliseconds before escalating to SIGKILL; null never escalates (default: 5000)
+ * @param {boolean} options.killProcessGroup - Run the child in its own process group and signal the whole group; ignored on Windows (default: false)
+ * @param {string} options.exitFile - For detached runs: written with `{ code, signal, finishedAt }` when the command exits, even after this process has gone
+ * @returns {ProcessHandle} Awaitable handle that emits `spawn`, `stdout`, `stderr`, `exit` and `error`
  */
-async function runCommand(command, args = [], options = {}) {
+function runCommand(command, args = [], options = {}) {
   const {
     cwd = process.cwd(),
     env = process.env,
@@ -46,100 +114,336 @@ async function runCommand(command, args = [], options = {}) {
     saveLog = false,
     logDir,
     logLevel = 'full',
-    logToConsole = logging
+    logToConsole = logging,
+    maxLogSize,
+    logRetention,
+    redact,
+    logTransports,
+    onLogError,
+    parentSessionId,
+    onStdout,
+    onStderr,
+    echoStdout = true,
+    signal,
+    input,
+    logPrompt,
+    idleTimeout = null,
+    killSignal = 'SIGTERM',
+    killGracePeriod = 5000,
+    killProcessGroup = false,
+    exitFile
   } = options;
+  const hasInput = input !== undefined && input !== null;
+  const groupKill = detached || (killProcessGroup && PROCESS_GROUPS_SUPPORTED);
 
   // Clean environment to avoid nested Claude execution issues
   const cleanEnv = { ...env };
   delete cleanEnv.CLAUDECODE;
 
-  // Initialize logger if saveLog is enabled
-  const logger = new Logger({
+  // Initialize logger if saveLog is enabled; a shared logger belongs to the
+  // caller, which writes session_start and session_end itself
+  const ownsSession = !options.logger;
+  const logger = options.logger || new Logger({
     saveLog,
     logDir,
     logLevel,
-    logToConsole
+    logToConsole,
+    maxLogSize,
+    retention: logRetention,
+    redactor: createRedactor(redact),
+    transports: logTransports,
+    onTransportError: onLogError,
+    parentSessionId
+  });
+  const forConsole = text => (logger.redactor ? logger.redactor.redact(text.toString()) : text);
+
+  let resolve;
+  let reject;
+  const result = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  const handle = new ProcessHandle(result, saveLog ? logger.sessionId : null);
+  const startTime = Date.now();
+
+  const abortError = () => new AbortError(undefined, {
+    command,
+    sessionId: handle.sessionId,
+    durationMs: Date.now() - startTime,
+    reason: signal.reason
   });
 
-  return new Promise(async (resolve, reject) => {
+  const start = async () => {
+    if (signal && signal.aborted) {
+      throw abortError();
+    }
+
     if (logging && !saveLog) {
-      console.log(`[Claude Spawn] Executing: ${command} ${args.join(' ')}`);
+      console.log(`[Claude Spawn] Executing: ${forConsole(`${command} ${args.join(' ')}`)}`);
       console.log(`[Claude Spawn] Working directory: ${cwd}`);
     }
 
+    // Detached runs that save logs or record their exit go through a wrapper
+    // process, which keeps writing after this process has gone away
+    const useRunner = detached && (saveLog || Boolean(exitFile));
+
     // Initialize logging
-    if (saveLog) {
-      await logger.initialize(command, args);
+    if (saveLog && ownsSession) {
+      await logger.initialize(command, args, cwd, { detached: useRunner });
+      if (logPrompt) {
+        await logger.logPrompt(logPrompt.text, logPrompt.via, logPrompt.template);
+      }
+
+      if (signal && signal.aborted) {
+        await logger.logAborted(signal.reason);
+        throw abortError();
+      }
     }
 
-    const childProcess = spawn(command, args, {
-      cwd,
-      env: cleanEnv,
-      detached,
-      stdio
-    });
+    const inputFile = useRunner && hasInput ? await writeInputFile(input) : null;
+    if (useRunner) {
+      // Batched entries are sent before the runner takes over the session
+      await logger.flush();
+    }
+    const childProcess = useRunner
+      ? spawn(process.execPath, [RUNNER_PATH], {
+        cwd,
+        env: {
+          ...cleanEnv,
+          [RUNNER_ENV]: JSON.stringify({
+            command,
+            args,
+            cwd,
+            saveLog,
+            exitFile,
+            logLevel,
+            sessionId: logger.sessionId,
+            logFile: logger.logFile,
+            startTime: logger.startTime,
+            maxLogSize: logger.maxLogSize,
+            bytesWritten: logger.bytesWritten,
+            redact: logger.redactor && logger.redactor.toConfig(),
+            transports: serializableTransports(logger.transportSpecs),
+            inputFile
+          })
+        },
+        detached,
+        stdio: 'ignore'
+      })
+      : spawn(command, args, {
+        cwd,
+        env: cleanEnv,
+        // A detached child always leads its own process group
+        detached: groupKill,
+        stdio: hasInput ? withStdinPipe(stdio) : stdio
+      });
 
-    // Close stdin for Claude processes to prevent hanging
-    if (command === 'claude' && childProcess.stdin) {
+    if (hasInput && !useRunner) {
+      // The child may exit before reading all of its input
+      childProcess.stdin.on('error', () => {});
+
+      if (typeof input === 'string' || Buffer.isBuffer(input)) {
+        childProcess.stdin.end(input);
+      } else {
+        input.pipe(childProcess.stdin);
+      }
+    } else if (command === 'claude' && childProcess.stdin) {
+      // Close stdin for Claude processes to prevent hanging
       childProcess.stdin.end();
     }
 
     let stdout = '';
     let stderr = '';
-    let timedOut = false;
+    let failed = false;
+    let settled = false;
+    let termination = null;
+
+    const errorDetails = (extra = {}) => ({
+      command,
+      stdout,
+      stderr,
+      pid: childProcess.pid,
+      sessionId: handle.sessionId,
+      durationMs: Date.now() - startTime,
+      ...extra
+    });
 
-    // Set timeout if specified
     let timeoutId;
+    let idleTimeoutId;
+    let killTimerId;
+    const clearTimers = () => {
+      clearTimeout(timeoutId);
+      clearTimeout(idleTimeoutId);
+    };
+
+    const commandFailed = ({ code, signal: exitSignal }) => new CommandFailedError(
+      `Command failed with code ${code}: ${stderr || stdout}`,
+      errorDetails({ code, signal: exitSignal })
+    );
+
+    // Stop the process: killSignal first, SIGKILL once the grace period has
+    // passed. The run settles when the process is gone, not when it is asked to go.
+    const terminate = (reason, createError, sendSignal = killSignal) => {
+      if (termination || settled) return;
+      termination = { reason, createError };
+      clearTimers();
+      if (signal) signal.removeEventListener('abort', onAbort);
+
+      signalProcess(childProcess, sendSignal, groupKill);
+      if (saveLog) {
+        logger.logTerminated(reason, { signal: sendSignal, processGroup: groupKill });
+      }
+      if (logging && !saveLog) {
+        console.log(`[Claude Spawn] Terminating process (${reason}) with ${sendSignal}`);
+      }
+
+      if (killGracePeriod !== null && sendSignal !== 'SIGKILL') {
+        killTimerId = setTimeout(() => {
+          signalProcess(childProcess, 'SIGKILL', groupKill);
+          if (saveLog) {
+            logger.logTerminated(reason, { signal: 'SIGKILL', processGroup: groupKill, escalated: true });
+          }
+          if (logging && !saveLog) {
+            console.log(`[Claude Spawn] Process still running after ${killGracePeriod}ms, sending SIGKILL`);
+          }
+        }, killGracePeriod);
+      }
+    };
+
     if (timeout) {
       timeoutId = setTimeout(() => {
-        timedOut = true;
-        childProcess.kill('SIGTERM');
-        reject(new Error(`Command timed out after ${timeout}ms`));
+        terminate('timeout', exit => new TimeoutError(
+          `Command timed out after ${timeout}ms`,
+          errorDetails({ ...exit, timeout })
+        ));
       }, timeout);
     }
 
+    // The idle timer restarts with every chunk of output
+    const watchesOutput = Boolean(childProcess.stdout || childProcess.stderr);
+    const resetIdleTimer = () => {
+      if (!idleTimeout || !watchesOutput || termination) return;
+      clearTimeout(idleTimeoutId);
+      idleTimeoutId = setTimeout(() => {
+        terminate('idle_timeout', exit => new IdleTimeoutError(
+          `No output for ${idleTimeout}ms`,
+          errorDetails({ ...exit, timeout: idleTimeout })
+        ));
+      }, idleTimeout);
+    };
+    resetIdleTimer();
+
+    const onAbort = () => {
+      if (saveLog) {
+        logger.logAborted(signal.reason);
+      }
+      if (logging && !saveLog) {
+        console.log('[Claude Spawn] Process aborted');
+      }
+      terminate('aborted', exit => new AbortError(undefined, errorDetails({ ...exit, reason: signal.reason })));
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    // handle.kill(): a later call while terminating only sends its signal
+    handle.attach(childProcess, (killWith) => {
+      if (settled) return false;
+      if (termination) return signalProcess(childProcess, killWith, groupKill);
+      terminate('killed', commandFailed, killWith);
+      return true;
+    });
+
+    childProcess.on('spawn', () => {
+      if (groupKill && !detached) trackGroup(childProcess.pid);
+      handle.emit('spawn', childProcess.pid);
+    });
+
+    // A callback or listener that throws stops the run, which rejects with its
+    // error, instead of becoming an uncaught exception in this process
+    let callbackFailed = false;
+    const runCallback = (fn) => {
+      if (callbackFailed) return;
+      try {
+        fn();
+      } catch (error) {
+        callbackFailed = true;
+        terminate('callback_error', () => error);
+      }
+    };
+
     // Handle stdio if not ignored
     if (stdio === 'pipe') {
       childProcess.stdout?.on('data', (data) => {
         stdout += data.toString();
-        if (saveLog) {
+        resetIdleTimer();
+        runCallback(() => {
+          if (onStdout) onStdout(data);
+          handle.emit('stdout', data);
+        });
+        if (echoStdout && saveLog) {
           logger.logStdout(data);
-        } else if (logging) {
-          process.stdout.write(`[stdout] ${data}`);
+        } else if (echoStdout && logging) {
+          process.stdout.write(`[stdout] ${forConsole(data)}`);
         }
       });
 
       childProcess.stderr?.on('data', (data) => {
         stderr += data.toString();
+        resetIdleTimer();
+        runCallback(() => {
+          if (onStderr) onStderr(data);
+          handle.emit('stderr', data);
+        });
         if (saveLog) {
           logger.logStderr(data);
         } else if (logging) {
-          process.stderr.write(`[stderr] ${data}`);
+          process.stderr.write(`[stderr] ${forConsole(data)}`);
         }
       });
     }
 
     childProcess.on('error', async (error) => {
-      if (timeoutId) clearTimeout(timeoutId);
-      if (saveLog) {
+      failed = true;
+      clearTimers();
+      clearTimeout(killTimerId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (saveLog && !useRunner) {
         await logger.logError(error);
+        // The process never ran, so the session ends here (runClaude ends a shared one)
+        if (ownsSession) await logger.logExit(null, null);
       }
       if (logging && !saveLog) {
-        console.error(`[Claude Spawn] Process error: ${error.message}`);
+        console.error(`[Claude Spawn] Process error: ${forConsole(error.message)}`);
       }
-      reject(error);
+      // Failures to start the process (ENOENT, EACCES, ...) become SpawnErrors
+      const failure = error.syscall && error.syscall.startsWith('spawn')
+        ? new SpawnError(error.message, errorDetails({ code: error.code, cause: error }))
+        : error;
+
+      handle.emitError(failure);
+      reject(failure);
     });
 
-    childProcess.on('exit', async (code, signal) => {
-      if (timeoutId) clearTimeout(timeoutId);
-      if (timedOut) return; // Already rejected
+    const finish = async (code, exitSignal) => {
+      if (settled || failed) return;
+      settled = true;
+      clearTimers();
+      clearTimeout(killTimerId);
 
-      if (saveLog) {
-        await logger.logExit(code, signal);
+      // The wrapper process records its own session_end
+      if (saveLog && ownsSession && !useRunner) {
+        await logger.logExit(code, exitSignal);
+      }
+
+      if (termination) {
+        reject(termination.createError({ code, signal: exitSignal }));
+        return;
       }
 
       if (logging && !saveLog) {
-        console.log(`[Claude Spawn] Process exited with code ${code} and signal ${signal}`);
+        console.log(`[Claude Spawn] Process exited with code ${code} and signal ${exitSignal}`);
       }
 
       const result = {
@@ -158,22 +462,70 @@ async function runCommand(command, args = [], options = {}) {
       if (code === 0) {
         resolve(result);
       } else {
-        reject(new Error(`Command failed with code ${code}: ${stderr || stdout}`));
+        reject(commandFailed({ code, signal: exitSignal }));
       }
+    };
+
+    childProcess.on('exit', (code, exitSignal) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (groupKill && !detached) untrackGroup(childProcess.pid);
+      handle.emit('exit', code, exitSignal);
+
+      // A terminated child may leave descendants holding its pipes open;
+      // without a process group to kill, don't wait for them
+      if (termination && !groupKill) finish(code, exitSignal);
     });
 
+    // Settle on 'close' rather than 'exit' so all buffered output has been read
+    childProcess.on('close', (code, exitSignal) => finish(code, exitSignal));
+
     // If detached, unref the process
     if (detached) {
       childProcess.unref();
       // For detached processes, resolve immediately with PID
-      resolve({
+      const result = {
         success: true,
         pid: childProcess.pid,
         detached: true,
         message: 'Process started in background'
-      });
+      };
+
+      if (saveLog) {
+        result.sessionId = logger.sessionId;
+        result.logFile = logger.logFile;
+      }
+
+      resolve(result);
     }
+  };
+
+  start().catch((error) => {
+    handle.emitError(error);
+    reject(error);
   });
+
+  return handle;
+}
+
+// Make sure stdin is a pipe when input has to be written to the child
+function withStdinPipe(stdio) {
+  if (Array.isArray(stdio)) {
+    return ['pipe', ...stdio.slice(1)];
+  }
+  return stdio === 'pipe' ? stdio : ['pipe', stdio, stdio];
+}
+
+// Detached runs read their input from a private temp file: the wrapper
+// process outlives any pipe from this process
+async function writeInputFile(input) {
+  const file = path.join(os.tmpdir(), `claude-spawn-input-${crypto.randomBytes(6).toString('hex')}`);
+
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    await fs.promises.writeFile(file, input, { mode: 0o600 });
+  } else {
+    await pipeline(input, fs.createWriteStream(file, { mode: 0o600 }));
+  }
+  return file;
 }
 
 /**
@@ -186,44 +538,452 @@ async function runCommand(command, args = [], options = {}) {
  * @param {boolean} options.fireAndForget - Run in fire-and-forget mode
  * @param {boolean} options.logging - Enable logging
  * @param {number} options.timeout - Timeout in milliseconds
+ * @param {AbortSignal} options.signal - Abort the Claude process
+ * @param {boolean} options.registry - Record fire-and-forget runs in the task registry (default: true)
+ * @param {string} options.stateDir - Task registry directory (default: ~/.claude-spawn)
+ * @param {boolean} options.stream - Use `--output-format stream-json` and parse events as they arrive
+ * @param {Function} options.onEvent - Called with every parsed stream event (stream mode)
+ * @param {Function} options.onText - Called with assistant text blocks (stream mode)
+ * @param {Function} options.onToolUse - Called with tool use blocks (stream mode)
+ * @param {Function} options.onToolResult - Called with tool result blocks (stream mode)
+ * @param {string} options.model - Model alias or name (`--model`)
+ * @param {string|string[]} options.allowedTools - Tools Claude may use without asking (`--allowedTools`)
+ * @param {string|string[]} options.disallowedTools - Tools Claude may not use (`--disallowedTools`)
+ * @param {string} options.appendSystemPrompt - Text appended to the system prompt (`--append-system-prompt`)
+ * @param {number} options.maxTurns - Maximum number of agentic turns (`--max-turns`)
+ * @param {string|Object} options.mcpConfig - MCP server config file, JSON string or object (`--mcp-config`)
+ * @param {string} options.permissionMode - 'default', 'acceptEdits', 'bypassPermissions' or 'plan'
+ * @param {string|string[]} options.addDir - Additional directories Claude may access (`--add-dir`)
+ * @param {string} options.outputFormat - 'text', 'json' or 'stream-json' (`--output-format`)
+ * @param {boolean} options.promptViaStdin - Send the prompt on stdin instead of argv
+ *   (default: only for prompts over 16 KB)
+ * @param {string} options.resume - Resume the Claude conversation with this session ID
+ * @param {boolean} options.continue - Continue the most recent Claude conversation in `cwd`
+ * @param {number|Object} options.retry - Retries for transient failures: a count, or
+ *   `{ maxAttempts, minDelay, maxDelay, factor, jitter, shouldRetry }`
+ * @param {string|boolean} options.config - true applies the nearest config file (searching up from `cwd`)
+ *   and `CLAUDE_SPAWN_*` environment variables; a string names the config file (default: false)
+ * @param {string} options.profile - Named profile from the config file; implies `config: true`
+ * @param {string} options.parentSessionId - Session this run belongs to, recorded in session_start
+ * @param {string} options.template - Prompt template file or name (see loadTemplate); replaces `prompt`
+ * @param {Object} options.vars - Template variables
+ * @param {string} options.templateDir - Directory of named templates (default: `<cwd>/.claude-spawn/templates`)
+ * @param {Object} options.includeLimits - `{ maxFileSize, maxTotalSize, maxFiles }` for template includes
+ * @param {string} options.isolation - 'worktree' runs Claude in a temporary git worktree on a new branch
+ *   and adds `worktree` (`{ branch, commit, changedFiles, diff, ... }`) to the result
+ * @param {Object} options.worktree - `{ branch, base, dir, keepBranch, keepWorktree, message }` (see lib/worktree.js)
+ * @param {boolean|Object} options.trackChanges - Snapshot `cwd` before and after the run and add `changes`
+ *   (`{ created, modified, deleted }`) to the result; an object sets `{ exclude, gitignore, maxFiles,
+ *   maxDiffSize, maxTotalSize }` (see lib/changes.js)
  * @returns {Promise<Object>} Promise that resolves with the result
  */
 async function runClaude(prompt, options = {}) {
+  const resolved = applyConfig(options);
+  if (resolved.isolation) {
+    return runInWorktree(prompt, resolved);
+  }
+
+  const { retry, template, vars, templateDir, includeLimits, worktree, trackChanges, ...claudeOptions } = resolved;
+  const {
+    fireAndForget = false,
+    saveLog = false,
+    logging = true,
+    logDir,
+    logLevel = 'full',
+    logToConsole = logging,
+    maxLogSize,
+    logRetention,
+    logTransports,
+    onLogError,
+    parentSessionId,
+    signal
+  } = claudeOptions;
+  const redactor = createRedactor(claudeOptions.redact);
+
+  let templateInfo = null;
+  if (template) {
+    if (prompt) {
+      throw new TypeError('Pass either a prompt or a template, not both');
+    }
+    ({ prompt, template: templateInfo } = await renderPromptTemplate(template, {
+      vars,
+      templateDir,
+      includeLimits,
+      cwd: claudeOptions.cwd || process.cwd()
+    }));
+  }
+
+  // Fire-and-forget runs resolve as soon as the process starts: nothing to retry
+  if (fireAndForget) {
+    if (trackChanges) {
+      throw new TypeError('trackChanges needs to wait for the run and cannot be used with fireAndForget');
+    }
+    try {
+      return await executeClaude(prompt, {
+        ...claudeOptions,
+        logPrompt: templateInfo
+          ? { text: prompt, via: usesPromptStdin(prompt, claudeOptions) ? 'stdin' : 'argv', template: templateInfo }
+          : undefined
+      });
+    } catch (error) {
+      throw classifyClaudeError(error);
+    }
+  }
+
+  const retryOptions = normalizeRetryOptions(retry);
+  const claudeSettings = resolveClaudeOptions(claudeOptions);
+  const viaStdin = usesPromptStdin(prompt, claudeOptions);
+
+  const tracking = trackChanges ? changeTrackingOptions(trackChanges, claudeOptions) : null;
+  const before = tracking ? await snapshotTree(tracking.cwd, tracking.snapshot) : null;
+
+  // All attempts share one log session
+  const logger = saveLog
+    ? new Logger({
+      saveLog,
+      logDir,
+      logLevel,
+      logToConsole,
+      maxLogSize,
+      retention: logRetention,
+      redactor,
+      transports: logTransports,
+      onTransportError: onLogError,
+      parentSessionId
+    })
+    : null;
+  if (logger) {
+    await logger.initialize(
+      'claude',
+      buildClaudeArgs(viaStdin ? null : prompt, claudeOptions),
+      claudeOptions.cwd || process.cwd()
+    );
+    // Template runs always log the rendered prompt so they can be grouped by template
+    if (viaStdin || templateInfo) {
+      await logger.logPrompt(prompt, viaStdin ? 'stdin' : 'argv', templateInfo || undefined);
+    }
+    await logger.logOptions({
+      ...claudeSettings,
+      cwd: claudeOptions.cwd || process.cwd(),
+      timeout: claudeOptions.timeout || null,
+      retry: retryOptions.maxAttempts > 1 ? { ...retryOptions, shouldRetry: undefined } : null
+    });
+  }
+
+  const collectChanges = async () => {
+    const changes = compareSnapshots(before, await snapshotTree(tracking.cwd, tracking.snapshot));
+    if (logger) {
+      await logger.logChanges(changes);
+    }
+    return changes;
+  };
+
+  const onAttempt = async (attempt) => {
+    if (logger && attempt.maxAttempts > 1) {
+      await logger.logAttempt(attempt);
+    }
+    if (logging && attempt.retryInMs !== null && attempt.retryInMs !== undefined) {
+      const message = redactor ? redactor.redact(attempt.error) : attempt.error;
+      console.log(`[Claude Spawn] Attempt ${attempt.attempt}/${attempt.maxAttempts} failed: ${message}`);
+      console.log(`[Claude Spawn] Retrying in ${attempt.retryInMs}ms`);
+    }
+  };
+
+  try {
+    const { result, attempts } = await retryWithBackoff(async () => {
+      try {
+        return await executeClaude(prompt, { ...claudeOptions, redact: redactor, logger });
+      } catch (error) {
+        // Turn generic command failures into ClaudeError subtypes (credit, auth, ...)
+        throw classifyClaudeError(error);
+      }
+    }, { ...retryOptions, signal, onAttempt });
+
+    if (tracking) {
+      result.changes = await collectChanges();
+    }
+    if (logger) {
+      await logger.logExit(result.code, null);
+    }
+    result.attempts = attempts;
+    return result;
+  } catch (error) {
+    // A failed run may still have changed files
+    if (tracking && !error.changes) {
+      error.changes = await collectChanges().catch(() => undefined);
+    }
+    if (logger) {
+      await logger.logExit(typeof error.code === 'number' ? error.code : null, error.signal || null);
+    }
+    throw error;
+  }
+}
+
+// Run Claude in a new worktree, then commit what it changed there and report the diff
+async function runInWorktree(prompt, options) {
+  const { isolation, worktree: worktreeOptions = {}, ...runOptions } = options;
+  if (isolation !== 'worktree') {
+    throw new TypeError(`Unknown isolation "${isolation}" (expected 'worktree')`);
+  }
+
+  const cwd = runOptions.cwd || process.cwd();
+  const worktree = await worktrees.createWorktree(cwd, worktreeOptions);
+  if (runOptions.logging !== false) {
+    console.log(`[Claude Spawn] Running in worktree ${worktree.path} (branch ${worktree.branch})`);
+  }
+
+  const isolated = {
+    ...runOptions,
+    cwd: worktree.cwd,
+    config: false,
+    // Named templates are still looked up in the original project
+    templateDir: runOptions.templateDir || path.join(cwd, '.claude-spawn', 'templates')
+  };
+
+  // A background run is still using the worktree, so it stays until `worktrees clean`
+  if (runOptions.fireAndForget) {
+    try {
+      const result = await runClaude(prompt, isolated);
+      await worktrees.lockWorktree(worktree, result.pid);
+      result.worktree = { path: worktree.path, branch: worktree.branch, base: worktree.base };
+      return result;
+    } catch (error) {
+      await worktrees.discardWorktree(worktree).catch(() => {});
+      throw error;
+    }
+  }
+
+  let result;
+  let failure;
+  try {
+    result = await runClaude(prompt, isolated);
+  } catch (error) {
+    failure = error;
+  }
+
+  const firstLine = (prompt || runOptions.template || '').trim().split('\n')[0];
+  const report = await worktrees.finishWorktree(worktree, {
+    message: `claude-spawn: ${firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine}`,
+    ...worktreeOptions
+  }).catch((error) => {
+    // The run's own failure says more than a cleanup failure after it
+    throw failure || error;
+  });
+  if (runOptions.logging !== false && report.commit) {
+    console.log(`[Claude Spawn] ${report.changedFiles.length} files changed on ${report.branch} (${report.commit.slice(0, 8)})`);
+  }
+
+  if (failure) {
+    failure.worktree = report;
+    throw failure;
+  }
+  result.worktree = report;
+  return result;
+}
+
+// Snapshot settings for trackChanges; the run's own log directory is left out
+function changeTrackingOptions(trackChanges, options) {
+  const settings = trackChanges === true ? {} : trackChanges;
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const exclude = [...(settings.exclude || [])];
+
+  if (options.saveLog) {
+    const logDir = path.resolve(options.logDir || path.join(process.cwd(), 'claude-spawn-logs'));
+    const relative = path.relative(cwd, logDir);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      exclude.push(`/${relative.split(path.sep).join('/')}/`);
+    }
+  }
+
+  return { cwd, snapshot: { ...settings, exclude } };
+}
+
+// Render a template into the prompt; includes are read from the run's cwd
+async function renderPromptTemplate(template, options) {
+  const { vars = {}, templateDir, includeLimits = {}, cwd } = options;
+  const loaded = await loadTemplate(template, { cwd, templateDir });
+  const rendered = await renderTemplate(loaded.source, { ...includeLimits, vars, cwd, name: loaded.name });
+
+  return {
+    prompt: rendered.prompt,
+    template: { name: loaded.name, file: loaded.file, vars, includes: rendered.includes }
+  };
+}
+
+function usesPromptStdin(prompt, options) {
+  if (options.promptViaStdin !== undefined) {
+    return options.promptViaStdin === true;
+  }
+  return Buffer.byteLength(prompt) > PROMPT_STDIN_THRESHOLD;
+}
+
+// Runs a single Claude attempt; see runClaude for options
+async function executeClaude(prompt, options = {}) {
   const {
     cwd = process.cwd(),
-    dangerouslySkipPermissions = true,
     detached = false,
     fireAndForget = false,
     logging = true,
+    onEvent,
+    onText,
+    onToolUse,
+    onToolResult,
+    registry = true,
+    stateDir,
+    // Claude CLI options, turned into argv by buildClaudeArgs
+    dangerouslySkipPermissions,
+    stream,
+    resume,
+    continue: continueConversation,
+    model,
+    allowedTools,
+    disallowedTools,
+    appendSystemPrompt,
+    maxTurns,
+    mcpConfig,
+    permissionMode,
+    addDir,
+    outputFormat,
+    promptViaStdin,
     ...otherOptions
   } = options;
 
-  const args = ['-p'];
-  
-  if (dangerouslySkipPermissions) {
-    args.push('--dangerously-skip-permissions');
+  // Long prompts go through stdin to stay clear of argv limits and `ps` output
+  const viaStdin = usesPromptStdin(prompt, options);
+  const requestedFormat = resolveClaudeOptions(options).outputFormat;
+
+  // Text output carries no Claude session ID. Logged text runs ask for JSON
+  // instead, so the session can be resumed later, and hand back the text.
+  const capturesSession = requestedFormat === 'text' && !fireAndForget && Boolean(otherOptions.logger);
+  const format = capturesSession ? 'json' : requestedFormat;
+  const args = buildClaudeArgs(viaStdin ? null : prompt, capturesSession ? { ...options, outputFormat: 'json' } : options);
+
+  if (viaStdin) {
+    otherOptions.input = prompt;
   }
-  
-  args.push(prompt);
 
   if (fireAndForget) {
+    // The runner records the exit of registered tasks even after this process is gone
+    const taskId = registry ? taskRegistry.createTaskId() : null;
+
     // For fire-and-forget mode, use detached with ignored stdio
-    return runCommand('claude', args, {
+    const handle = runCommand('claude', args, {
       cwd,
       detached: true,
       stdio: 'ignore',
       logging,
+      exitFile: registry ? taskRegistry.getExitFile(taskId, stateDir) : undefined,
       ...otherOptions
     });
+
+    if (!registry) {
+      return handle;
+    }
+
+    // The registry is another copy of the prompt on disk
+    const redactor = createRedactor(otherOptions.redact);
+    const recorded = redactor ? redactor.redactValue({ prompt, args }).value : { prompt, args };
+
+    const taskPromise = handle.then(result => taskRegistry.registerTask({
+      id: taskId,
+      pid: result.pid,
+      prompt: recorded.prompt,
+      cwd,
+      command: 'claude',
+      args: recorded.args,
+      sessionId: result.sessionId,
+      logFile: result.logFile
+    }, stateDir));
+
+    // Recorded sooner while this process is alive
+    handle.on('exit', (code, signal) => {
+      taskPromise
+        .then(task => taskRegistry.updateTask(task.id, {
+          exitCode: code,
+          exitSignal: signal,
+          finishedAt: new Date().toISOString()
+        }, stateDir))
+        .catch(() => {});
+    });
+
+    const [result, task] = await Promise.all([handle.result, taskPromise]);
+    return { ...result, taskId: task.id };
+  }
+
+  if (format === 'stream-json') {
+    const { logger } = otherOptions;
+    let claudeSessionId = null;
+    let sessionLogged = Promise.resolve();
+
+    const parser = new StreamJsonParser({
+      onEvent: (event) => {
+        // Record the Claude session as soon as it is known so it can be resumed
+        if (!claudeSessionId && event.session_id) {
+          claudeSessionId = event.session_id;
+          if (logger) sessionLogged = logger.logClaudeSession(claudeSessionId);
+        }
+        if (onEvent) onEvent(event);
+      },
+      onText,
+      onToolUse,
+      onToolResult
+    });
+    const result = await runCommand('claude', args, {
+      cwd,
+      detached,
+      logging,
+      ...otherOptions,
+      onStdout: (data) => {
+        parser.push(data);
+        if (otherOptions.onStdout) otherOptions.onStdout(data);
+      }
+    });
+
+    result.events = parser.end();
+    result.result = parser.result ? parser.result.result : null;
+    result.claudeSessionId = claudeSessionId;
+    await sessionLogged;
+    return result;
   }
 
   // For normal mode, use default options
-  return runCommand('claude', args, {
-    cwd,
-    detached,
-    logging,
-    ...otherOptions
-  });
+  let result;
+  try {
+    result = await runCommand('claude', args, {
+      cwd,
+      detached,
+      logging,
+      ...otherOptions,
+      echoStdout: !capturesSession
+    });
+  } catch (error) {
+    if (capturesSession && error.stdout) {
+      otherOptions.logger.logStdout(error.stdout);
+    }
+    throw error;
+  }
+
+  if (format === 'json') {
+    try {
+      result.json = JSON.parse(result.stdout);
+      result.result = result.json.result;
+      result.claudeSessionId = result.json.session_id || null;
+      if (result.claudeSessionId && otherOptions.logger) {
+        await otherOptions.logger.logClaudeSession(result.claudeSessionId);
+      }
+    } catch (e) {
+      // Leave stdout as-is when Claude printed something other than JSON
+    }
+  }
+
+  if (capturesSession) {
+    if (result.json && typeof result.result === 'string') {
+      result.stdout = `${result.result}\n`;
+    }
+    otherOptions.logger.logStdout(result.stdout);
+  }
+
+  return result;
 }
 
 /**
@@ -285,35 +1045,154 @@ async function testSimpleCommand(options = {}) {
  * @param {string} prompt - The prompt to send to Claude
  * @param {string} projectDir - The project directory
  * @param {Object} options - Additional options
+ * @param {AbortSignal} options.signal - Abort the background task and its process group
+ * @param {string} options.isolation - 'worktree' runs in a temporary git worktree; the task then
+ *   waits for Claude to finish so it can return the diff
  * @returns {Promise<Object>} Promise that resolves with the process info
  */
 async function runClaudeTask(prompt, projectDir, options = {}) {
   const { logging = true } = options;
-  
+  const isolated = options.isolation === 'worktree';
+
   if (logging) {
-    console.log('[Claude Spawn] Starting background task...');
+    console.log(isolated ? '[Claude Spawn] Starting isolated task...' : '[Claude Spawn] Starting background task...');
   }
   
   return runClaude(prompt, {
     cwd: projectDir,
-    fireAndForget: true,
+    fireAndForget: !isolated,
     dangerouslySkipPermissions: true,
     logging,
     ...options
   });
 }
 
+/**
+ * Create a concurrency-limited pool for runClaude and runCommand jobs
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum number of jobs running at once (default: 2)
+ * @param {number} options.maxQueue - Maximum number of waiting jobs (default: unlimited)
+ * @returns {TaskPool} Pool that emits `queued`, `started`, `completed`, `failed`, `cancelled` and `idle`
+ */
+function createPool(options = {}) {
+  return new TaskPool(options, { runClaude, runCommand });
+}
+
+/**
+ * Start a multi-turn conversation; each `send()` resumes the previous Claude session
+ * @param {Object} options - runClaude options shared by every turn
+ * @param {string} options.cwd - Working directory
+ * @param {string} options.resume - Continue an existing Claude session
+ * @param {string} options.outputFormat - 'stream-json' (default) or 'json'; 'text' has no session ID to resume
+ * @returns {Conversation} Conversation with `send(prompt)`, `claudeSessionId` and `turns`
+ */
+function createConversation(options = {}) {
+  return new Conversation(options, runClaude);
+}
+
+/**
+ * Run many Claude tasks with a concurrency limit
+ * @param {string|Array|Object} manifest - Manifest file (`.jsonl`, `.yml` or `.json`), or task entries
+ *   `{ id, prompt, cwd, options }`
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Tasks running at once (default: 2)
+ * @param {string|boolean} options.resultsFile - Where results are written (default: `<manifest>.results.jsonl`)
+ * @param {boolean} options.resume - Skip tasks that already succeeded according to the results file
+ * @param {Object} options.defaults - runClaude options for every task
+ * @param {AbortSignal} options.signal - Cancel the batch
+ * @param {Function} options.onProgress - Called as tasks are skipped, start and finish
+ * @returns {Promise<Object>} Summary with `results` in manifest order
+ */
+function runBatch(manifest, options = {}) {
+  return batch.runBatch(manifest, options, { runClaude, runCommand });
+}
+
+/**
+ * Run a multi-step workflow of Claude and shell steps
+ * @param {string|Object} workflow - Workflow file (`.yml` or `.json`), or a definition
+ *   `{ name, cwd, vars, defaults, concurrency, steps }`
+ * @param {Object} options - Workflow options
+ * @param {Object} options.vars - Variables for prompts and conditions
+ * @param {Object} options.defaults - runClaude options for every step
+ * @param {number} options.concurrency - Steps running at once
+ * @param {AbortSignal} options.signal - Cancel the workflow
+ * @param {Function} options.onProgress - Called as steps start, finish or are skipped
+ * @returns {Promise<Object>} Summary with `status`, `steps` in definition order and the parent `sessionId`
+ */
+function runWorkflow(workflow, options = {}) {
+  return workflows.runWorkflow(workflow, options, { runClaude, runCommand });
+}
+
+/**
+ * Create a scheduler for recurring Claude runs on cron schedules
+ * @param {Object} options - Scheduler options
+ * @param {string} options.stateDir - Where schedules and their last runs are stored (default: ~/.claude-spawn)
+ * @param {number} options.interval - How often due schedules are checked, in milliseconds (default: 30000)
+ * @param {number} options.concurrency - Runs at once across all schedules (default: 2)
+ * @param {number} options.grace - Slots older than this count as missed (default: 60000)
+ * @param {Object} options.defaults - runClaude options for every run
+ * @returns {Scheduler} Scheduler with `add()`, `remove()`, `list()`, `start()`, `stop()` and `tick()`
+ */
+function createScheduler(options = {}) {
+  return new Scheduler(options, { runClaude });
+}
+
 // Export main functions
 module.exports = {
   runCommand,
   runClaude,
   runClaudeTask,
   testSimpleCommand,
+  parseStreamJson,
+  createPool,
+  createConversation,
+  runBatch,
+  runWorkflow,
+  createScheduler,
+  buildClaudeArgs,
+  isTransientError,
+
+  // Errors
+  ClaudeSpawnError: errors.ClaudeSpawnError,
+  CommandFailedError,
+  TimeoutError,
+  IdleTimeoutError,
+  SpawnError,
+  AbortError,
+  TemplateError: errors.TemplateError,
+  ClaudeError: errors.ClaudeError,
+  CreditBalanceError: errors.CreditBalanceError,
+  AuthenticationError: errors.AuthenticationError,
+  RateLimitError: errors.RateLimitError,
+  OverloadedError: errors.OverloadedError,
   
   // Legacy aliases for backwards compatibility
   runClaudeImprovement: runClaudeTask,
   
   // Log viewing utilities
   getRecentSessions: Logger.getRecentSessions,
-  viewLog: Logger.viewLog
+  viewLog: Logger.viewLog,
+  findClaudeSessionId: Logger.findClaudeSessionId,
+  pruneLogs,
+  searchSessions,
+  followLog,
+  exportSession,
+  Redactor,
+
+  // Project configuration
+  resolveConfig,
+
+  // Prompt templates
+  loadTemplate,
+  renderTemplate,
+
+  // Worktree isolation
+  listWorktrees: worktrees.listWorktrees,
+  cleanWorktrees: worktrees.cleanWorktrees,
+
+  // Background task registry
+  listTasks: taskRegistry.listTasks,
+  getTask: taskRegistry.getTask,
+  killTask: taskRegistry.killTask,
+  waitForTask: taskRegistry.waitForTask
 };
\ No newline at end of file
@@ -0,0 +1,305 @@
+/**
+ * Batch runs: many runClaude tasks from a JSONL, JSON or YAML manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const TaskPool = require('./pool');
+const { AbortError } = require('./errors');
+const { parseYaml } = require('./yaml');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const appendFile = promisify(fs.appendFile);
+const mkdir = promisify(fs.mkdir);
+
+// Task fields that are not runClaude options
+const TASK_FIELDS = ['id', 'prompt', 'cwd', 'options'];
+
+function parseJsonLines(content, file) {
+  return content.split('\n').reduce((entries, line, index) => {
+    if (!line.trim()) return entries;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${file}: ${err.message}`);
+    }
+    return entries;
+  }, []);
+}
+
+/**
+ * Turn manifest entries into tasks
+ * @param {Array|Object} manifest - Task entries, or `{ defaults, tasks }`
+ * @param {string} baseDir - Directory that relative `cwd` values are relative to, and the `cwd` of tasks without one
+ * @returns {Object[]} Tasks: `{ id, index, prompt, cwd, options, fingerprint }`; `prompt` is null for template tasks
+ */
+function normalizeTasks(manifest, baseDir = process.cwd()) {
+  const { defaults = {}, tasks } = Array.isArray(manifest) ? { tasks: manifest } : (manifest || {});
+  if (!Array.isArray(tasks)) {
+    throw new TypeError('A batch manifest must be a list of tasks or have a "tasks" list');
+  }
+
+  const ids = new Set();
+  return tasks.map((entry, index) => {
+    const task = typeof entry === 'string' ? { prompt: entry } : entry;
+    if (!task || typeof task !== 'object') {
+      throw new TypeError(`Task ${index + 1} has no prompt`);
+    }
+
+    const id = task.id !== undefined ? String(task.id) : `task-${index + 1}`;
+    if (ids.has(id)) {
+      throw new TypeError(`Duplicate task id "${id}"`);
+    }
+    ids.add(id);
+
+    // Unknown fields are runClaude options, so `{ prompt, model }` works too
+    const extra = Object.fromEntries(Object.entries(task).filter(([key]) => !TASK_FIELDS.includes(key)));
+    const options = { ...defaults, ...extra, ...task.options };
+    const cwd = task.cwd || options.cwd;
+    delete options.cwd;
+
+    // Template tasks render their prompt when they run (see lib/template.js)
+    const hasPrompt = typeof task.prompt === 'string' && task.prompt.trim() !== '';
+    if (!hasPrompt && !options.template) {
+      throw new TypeError(`Task ${index + 1} has no prompt or template`);
+    }
+
+    const normalized = {
+      id,
+      index,
+      prompt: hasPrompt ? task.prompt : null,
+      cwd: path.resolve(baseDir, cwd || '.'),
+      options
+    };
+    normalized.fingerprint = fingerprintTask(normalized);
+    return normalized;
+  });
+}
+
+/**
+ * Hash of everything that decides what a task does; a task only counts as
+ * done on resume if it has not changed since
+ * @param {Object} task - Normalized task
+ * @param {Object} defaults - runBatch defaults the task's options are merged over
+ * @returns {string} Fingerprint
+ */
+function fingerprintTask(task, defaults = {}) {
+  const { cwd, ...runDefaults } = defaults;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([task.prompt, task.cwd, { ...runDefaults, ...task.options }]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Read a manifest file: `.jsonl` (one task per line), `.yml` / `.yaml` or `.json`
+ * @param {string} file - Manifest path
+ * @returns {Promise<Object[]>} Tasks, with `cwd` relative to the manifest (default: its directory)
+ */
+async function loadManifest(file) {
+  const content = await readFile(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+
+  let manifest;
+  if (extension === '.jsonl' || extension === '.ndjson') {
+    manifest = parseJsonLines(content, file);
+  } else if (extension === '.yml' || extension === '.yaml') {
+    manifest = parseYaml(content);
+  } else {
+    manifest = JSON.parse(content);
+  }
+
+  return normalizeTasks(manifest, path.dirname(path.resolve(file)));
+}
+
+function defaultResultsFile(manifestFile) {
+  const extension = path.extname(manifestFile);
+  return `${manifestFile.slice(0, manifestFile.length - extension.length)}.results.jsonl`;
+}
+
+// Latest result per task id
+async function readResults(resultsFile) {
+  let content;
+  try {
+    content = await readFile(resultsFile, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return new Map();
+    throw err;
+  }
+
+  const results = new Map();
+  for (const line of content.split('\n')) {
+    try {
+      const result = JSON.parse(line);
+      if (result && result.id !== undefined) results.set(result.id, result);
+    } catch (e) {
+      // Skip invalid lines, such as one cut short by an interrupted run
+    }
+  }
+  return results;
+}
+
+function describeTask(task) {
+  return { id: task.id, index: task.index, prompt: task.prompt, cwd: task.cwd };
+}
+
+/**
+ * Run every task of a batch through a concurrency-limited pool
+ * @param {string|Array|Object} manifest - Manifest file path, or task entries (see normalizeTasks)
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Tasks running at once (default: 2)
+ * @param {string|boolean} options.resultsFile - JSONL file that receives each result as it finishes
+ *   (default: `<manifest>.results.jsonl` for manifest files; false for none)
+ * @param {boolean} options.resume - Skip tasks that succeeded in a previous run with the same results file
+ * @param {Object} options.defaults - runClaude options for every task; task options win
+ * @param {AbortSignal} options.signal - Cancel queued tasks and abort running ones
+ * @param {Function} options.onProgress - Called with `{ type, task, result, completed, total }` where
+ *   type is 'skipped', 'started', 'succeeded', 'failed' or 'cancelled'
+ * @param {Object} runners - `{ runClaude }`
+ * @returns {Promise<Object>} `{ results, total, succeeded, failed, skipped, cancelled, durationMs, resultsFile,
+ *   resultsError }`; `resultsError` is set when results could not be written to the results file
+ */
+async function runBatch(manifest, options = {}, runners = {}) {
+  const {
+    concurrency = 2,
+    resume = false,
+    defaults = {},
+    signal,
+    onProgress
+  } = options;
+  const fromFile = typeof manifest === 'string';
+
+  const tasks = (fromFile ? await loadManifest(manifest) : normalizeTasks(manifest))
+    .map(task => ({ ...task, fingerprint: fingerprintTask(task, defaults) }));
+  const resultsFile = options.resultsFile === undefined
+    ? (fromFile ? defaultResultsFile(manifest) : null)
+    : options.resultsFile || null;
+
+  const previous = resume && resultsFile ? await readResults(resultsFile) : new Map();
+  if (resultsFile) {
+    await mkdir(path.dirname(path.resolve(resultsFile)), { recursive: true });
+    if (!resume) await writeFile(resultsFile, '');
+  }
+
+  const startTime = Date.now();
+  const results = new Array(tasks.length).fill(null);
+  const counts = { succeeded: 0, failed: 0, skipped: 0, cancelled: 0 };
+  let completed = 0;
+
+  const report = (type, task, result) => {
+    if (onProgress) {
+      onProgress({ type, task: describeTask(task), result, completed, total: tasks.length });
+    }
+  };
+
+  // Results are appended one at a time so an interrupted batch leaves whole lines.
+  // A failed write does not stop the batch; it is reported once at the end.
+  let writing = Promise.resolve();
+  let writeError = null;
+  let unsaved = 0;
+  const saveResult = (result) => {
+    if (!resultsFile) return writing;
+    writing = writing
+      .then(() => appendFile(resultsFile, JSON.stringify(result) + '\n'))
+      .catch((err) => {
+        writeError = writeError || err;
+        unsaved++;
+      });
+    return writing;
+  };
+
+  const pending = [];
+  for (const task of tasks) {
+    const done = previous.get(task.id);
+    if (done && done.status === 'succeeded' && done.fingerprint === task.fingerprint) {
+      results[task.index] = { ...done, skipped: true };
+      counts.skipped++;
+      completed++;
+      report('skipped', task, results[task.index]);
+    } else {
+      pending.push(task);
+    }
+  }
+
+  const pool = new TaskPool({ concurrency }, runners);
+
+  await Promise.all(pending.map(async (task) => {
+    // Set once the pool starts the task; time spent queued is not part of its duration
+    let startedAt = null;
+    const base = { id: task.id, index: task.index, prompt: task.prompt, cwd: task.cwd, fingerprint: task.fingerprint };
+    let result;
+
+    try {
+      const output = await pool.add(async (job) => {
+        startedAt = new Date();
+        report('started', task);
+        return runners.runClaude(task.prompt, {
+          logging: false,
+          ...defaults,
+          ...task.options,
+          cwd: task.cwd,
+          fireAndForget: false,
+          signal: job.signal
+        });
+      }, { name: task.id, signal });
+
+      result = {
+        ...base,
+        status: 'succeeded',
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        sessionId: output.sessionId || null,
+        claudeSessionId: output.claudeSessionId || null,
+        attempts: output.attempts,
+        exitCode: output.code,
+        output: typeof output.result === 'string' ? output.result : output.stdout
+      };
+    } catch (error) {
+      const cancelled = error instanceof AbortError;
+      result = {
+        ...base,
+        status: cancelled ? 'cancelled' : 'failed',
+        startedAt: startedAt ? startedAt.toISOString() : null,
+        durationMs: startedAt ? Date.now() - startedAt.getTime() : 0,
+        sessionId: error.sessionId || null,
+        exitCode: typeof error.code === 'number' ? error.code : null,
+        error: error.message,
+        errorType: error.name,
+        stderr: error.stderr || undefined
+      };
+    }
+
+    result.finishedAt = new Date().toISOString();
+    results[task.index] = result;
+    counts[result.status]++;
+    completed++;
+
+    // Cancelled tasks are left out of the results file so a resumed batch runs them
+    if (result.status !== 'cancelled') {
+      await saveResult(result);
+    }
+    report(result.status, task, result);
+  }));
+
+  await writing;
+
+  return {
+    results,
+    total: tasks.length,
+    ...counts,
+    durationMs: Date.now() - startTime,
+    resultsFile,
+    resultsError: writeError
+      ? new Error(`Could not save ${unsaved} result(s) to ${resultsFile}: ${writeError.message}`)
+      : null
+  };
+}
+
+module.exports = {
+  loadManifest,
+  normalizeTasks,
+  runBatch
+};
@@ -0,0 +1,229 @@
+/**
+ * File change reports: snapshot a directory before and after a run and
+ * compare the two. Works without git; .gitignore files are honored anyway.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { globToRegExp } = require('./template');
+const { unifiedDiff } = require('./diff');
+
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const lstat = promisify(fs.lstat);
+
+const DEFAULT_LIMITS = {
+  maxFiles: 20000,
+  maxDiffSize: 256 * 1024,
+  maxTotalSize: 64 * 1024 * 1024
+};
+
+// Files above this size are compared by size and modification time only
+const MAX_HASHED_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Parse gitignore-style patterns
+ * @param {string[]} patterns - Lines of a .gitignore file or exclude patterns
+ * @returns {Object[]} Rules `{ regexp, negate, dirOnly }` over paths relative to the file's directory
+ */
+function parseIgnorePatterns(patterns) {
+  const rules = [];
+
+  for (let line of patterns) {
+    line = line.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    if (line.startsWith('\\')) line = line.slice(1);
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end ties the pattern to this directory
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    if (!line) continue;
+
+    rules.push({ regexp: globToRegExp(anchored ? line : `**/${line}`), negate, dirOnly });
+  }
+
+  return rules;
+}
+
+// The last matching rule decides, as in git
+function isIgnored(relative, isDir, ruleSets) {
+  let ignored = false;
+
+  for (const { base, rules } of ruleSets) {
+    if (base && !relative.startsWith(`${base}/`)) continue;
+    const local = base ? relative.slice(base.length + 1) : relative;
+
+    for (const rule of rules) {
+      if ((!rule.dirOnly || isDir) && rule.regexp.test(local)) {
+        ignored = !rule.negate;
+      }
+    }
+  }
+  return ignored;
+}
+
+async function readIgnoreFile(file) {
+  try {
+    return parseIgnorePatterns((await readFile(file, 'utf8')).split(/\r?\n/));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Record every file under a directory
+ * @param {string} cwd - Directory to snapshot
+ * @param {Object} options - Snapshot options
+ * @param {string[]} options.exclude - gitignore-style patterns to leave out, relative to cwd
+ * @param {boolean} options.gitignore - Honor .gitignore files and .git/info/exclude (default: true)
+ * @param {number} options.maxFiles - Stop after this many files (default: 20000)
+ * @param {number} options.maxDiffSize - Keep the text of files up to this size for diffs (default: 256 KB)
+ * @param {number} options.maxTotalSize - Text kept for diffs in total (default: 64 MB)
+ * @returns {Promise<Object>} `{ cwd, files, incomplete }`; files maps relative paths to
+ *   `{ size, mtimeMs, hash, binary, text }`
+ */
+async function snapshotTree(cwd, options = {}) {
+  const {
+    exclude = [],
+    gitignore = true,
+    maxFiles = DEFAULT_LIMITS.maxFiles,
+    maxDiffSize = DEFAULT_LIMITS.maxDiffSize,
+    maxTotalSize = DEFAULT_LIMITS.maxTotalSize
+  } = options;
+  const root = path.resolve(cwd);
+  const excluded = [{ base: '', rules: parseIgnorePatterns(exclude) }];
+  const files = new Map();
+  let textSize = 0;
+  let incomplete = false;
+
+  const rootRules = gitignore ? await readIgnoreFile(path.join(root, '.git', 'info', 'exclude')) : [];
+
+  const walk = async (dir, ruleSets) => {
+    let entries;
+    try {
+      entries = await readdir(path.join(root, dir), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EACCES') return;
+      throw err;
+    }
+
+    if (gitignore && entries.some(entry => entry.name === '.gitignore' && entry.isFile())) {
+      ruleSets = [...ruleSets, { base: dir, rules: await readIgnoreFile(path.join(root, dir, '.gitignore')) }];
+    }
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const relative = dir ? `${dir}/${entry.name}` : entry.name;
+      const isDir = entry.isDirectory();
+
+      if (entry.name === '.git' || isIgnored(relative, isDir, excluded) || isIgnored(relative, isDir, ruleSets)) {
+        continue;
+      }
+
+      if (isDir) {
+        await walk(relative, ruleSets);
+      } else if (entry.isFile()) {
+        if (files.size >= maxFiles) {
+          incomplete = true;
+          return;
+        }
+        files.set(relative, await readEntry(path.join(root, relative)));
+      }
+    }
+  };
+
+  const readEntry = async (file) => {
+    let info;
+    let content = null;
+    try {
+      info = await lstat(file);
+      if (info.size <= MAX_HASHED_SIZE) content = await readFile(file);
+    } catch (err) {
+      // Removed while walking
+      if (err.code === 'ENOENT') return { size: 0, mtimeMs: 0, hash: null, binary: false, text: null };
+      throw err;
+    }
+
+    const binary = content ? isBinary(content) : true;
+    const keepText = content && !binary && info.size <= maxDiffSize && textSize + info.size <= maxTotalSize;
+    if (keepText) textSize += info.size;
+
+    return {
+      size: info.size,
+      mtimeMs: info.mtimeMs,
+      hash: content ? crypto.createHash('sha1').update(content).digest('hex') : null,
+      binary,
+      text: keepText ? content.toString('utf8') : null
+    };
+  };
+
+  await walk('', [{ base: '', rules: rootRules }]);
+  return { cwd: root, files, incomplete };
+}
+
+function isChanged(before, after) {
+  if (before.size !== after.size) return true;
+  if (before.hash && after.hash) return before.hash !== after.hash;
+  return before.mtimeMs !== after.mtimeMs;
+}
+
+function diffFor(file, before, after) {
+  if ((before && before.binary) || (after && after.binary)) return null;
+  if ((before && before.text === null) || (after && after.text === null)) return null;
+  return unifiedDiff(before ? before.text : null, after ? after.text : null, { path: file });
+}
+
+/**
+ * Compare two snapshots of the same directory
+ * @param {Object} before - Snapshot from before the run
+ * @param {Object} after - Snapshot from after the run
+ * @returns {Object} `{ created, modified, deleted, incomplete }`; each file is `{ path, size,
+ *   previousSize, binary, diff }`, with diff null for binary files and files over maxDiffSize
+ */
+function compareSnapshots(before, after) {
+  const created = [];
+  const modified = [];
+  const deleted = [];
+
+  for (const [file, current] of after.files) {
+    const previous = before.files.get(file);
+    if (!previous) {
+      created.push({ path: file, size: current.size, binary: current.binary, diff: diffFor(file, null, current) });
+    } else if (isChanged(previous, current)) {
+      modified.push({
+        path: file,
+        size: current.size,
+        previousSize: previous.size,
+        binary: current.binary || previous.binary,
+        diff: diffFor(file, previous, current)
+      });
+    }
+  }
+
+  for (const [file, previous] of before.files) {
+    if (!after.files.has(file)) {
+      deleted.push({ path: file, previousSize: previous.size, binary: previous.binary, diff: diffFor(file, previous, null) });
+    }
+  }
+
+  return { created, modified, deleted, incomplete: before.incomplete || after.incomplete };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  parseIgnorePatterns,
+  snapshotTree,
+  compareSnapshots
+};
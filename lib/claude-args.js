@@ -0,0 +1,146 @@
+/**
+ * Validation and argv building for Claude CLI options
+ */
+
+const PERMISSION_MODES = ['default', 'acceptEdits', 'bypassPermissions', 'plan'];
+const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+
+function toList(value, name) {
+  if (value === undefined || value === null) return [];
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const items = list.map(item => String(item).trim()).filter(Boolean);
+
+  if (items.length === 0) {
+    throw new TypeError(`${name} must not be empty`);
+  }
+  return items;
+}
+
+function checkString(value, name) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new TypeError(`${name} must be a non-empty string`);
+  }
+  return value;
+}
+
+function checkChoice(value, name, choices) {
+  if (value === undefined || value === null) return undefined;
+  if (!choices.includes(value)) {
+    throw new TypeError(`${name} must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Validate runClaude options and resolve the Claude CLI settings they imply
+ * @param {Object} options - runClaude options
+ * @returns {Object} Normalized Claude settings
+ */
+function resolveClaudeOptions(options = {}) {
+  const {
+    dangerouslySkipPermissions = true,
+    stream = false,
+    resume,
+    continue: continueConversation = false,
+    model,
+    allowedTools,
+    disallowedTools,
+    appendSystemPrompt,
+    maxTurns,
+    mcpConfig,
+    permissionMode,
+    addDir,
+    outputFormat
+  } = options;
+
+  if (maxTurns !== undefined && maxTurns !== null && (!Number.isInteger(maxTurns) || maxTurns < 1)) {
+    throw new TypeError('maxTurns must be a positive integer');
+  }
+
+  if (mcpConfig !== undefined && mcpConfig !== null &&
+      typeof mcpConfig !== 'string' && typeof mcpConfig !== 'object') {
+    throw new TypeError('mcpConfig must be a file path, JSON string or object');
+  }
+
+  const format = checkChoice(outputFormat, 'outputFormat', OUTPUT_FORMATS);
+  if (stream && format && format !== 'stream-json') {
+    throw new TypeError(`stream cannot be combined with outputFormat '${format}'`);
+  }
+
+  return {
+    dangerouslySkipPermissions: dangerouslySkipPermissions !== false,
+    resume: checkString(resume, 'resume'),
+    continue: continueConversation === true,
+    model: checkString(model, 'model'),
+    allowedTools: allowedTools === undefined ? undefined : toList(allowedTools, 'allowedTools'),
+    disallowedTools: disallowedTools === undefined ? undefined : toList(disallowedTools, 'disallowedTools'),
+    appendSystemPrompt: checkString(appendSystemPrompt, 'appendSystemPrompt'),
+    maxTurns: maxTurns === null ? undefined : maxTurns,
+    mcpConfig: mcpConfig && typeof mcpConfig === 'object' ? JSON.stringify(mcpConfig) : checkString(mcpConfig, 'mcpConfig'),
+    permissionMode: checkChoice(permissionMode, 'permissionMode', PERMISSION_MODES),
+    addDir: addDir === undefined ? undefined : toList(addDir, 'addDir'),
+    outputFormat: stream ? 'stream-json' : (format || 'text')
+  };
+}
+
+/**
+ * Build the Claude CLI argv for a prompt
+ * @param {string|null} prompt - The prompt, or null when it is written to stdin
+ * @param {Object} options - runClaude options
+ * @returns {string[]} Arguments for the claude command
+ */
+function buildClaudeArgs(prompt, options = {}) {
+  const settings = resolveClaudeOptions(options);
+  const args = ['-p'];
+
+  if (settings.dangerouslySkipPermissions) {
+    args.push('--dangerously-skip-permissions');
+  }
+
+  if (settings.resume) {
+    args.push('--resume', settings.resume);
+  } else if (settings.continue) {
+    args.push('--continue');
+  }
+
+  if (settings.model) args.push('--model', settings.model);
+  if (settings.permissionMode) args.push('--permission-mode', settings.permissionMode);
+  if (settings.maxTurns) args.push('--max-turns', String(settings.maxTurns));
+  if (settings.appendSystemPrompt) args.push('--append-system-prompt', settings.appendSystemPrompt);
+  if (settings.mcpConfig) args.push('--mcp-config', settings.mcpConfig);
+  if (settings.allowedTools) args.push('--allowedTools', settings.allowedTools.join(','));
+  if (settings.disallowedTools) args.push('--disallowedTools', settings.disallowedTools.join(','));
+
+  for (const dir of settings.addDir || []) {
+    args.push('--add-dir', dir);
+  }
+
+  if (settings.outputFormat !== 'text') {
+    args.push('--output-format', settings.outputFormat);
+  }
+
+  if (settings.outputFormat === 'stream-json') {
+    // The CLI refuses stream-json in print mode without --verbose
+    args.push('--verbose');
+  }
+
+  // A null prompt is sent on stdin instead
+  if (prompt !== null && prompt !== undefined) {
+    // --add-dir takes several values; end option parsing so the prompt is not read as one
+    if (settings.addDir) {
+      args.push('--');
+    }
+    args.push(prompt);
+  }
+
+  return args;
+}
+
+module.exports = {
+  PERMISSION_MODES,
+  OUTPUT_FORMATS,
+  resolveClaudeOptions,
+  buildClaudeArgs
+};
@@ -0,0 +1,179 @@
+/**
+ * Project configuration: defaults and named profiles read from
+ * `.claude-spawnrc`, `claude-spawn.config.js` or the `claude-spawn` key of
+ * package.json, whichever is found first searching up from the working directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['.claude-spawnrc', '.claude-spawnrc.json', 'claude-spawn.config.js'];
+const PACKAGE_KEY = 'claude-spawn';
+
+// Built-in defaults of the settings most configs override
+const DEFAULTS = {
+  timeout: null,
+  idleTimeout: null,
+  retry: 0,
+  dangerouslySkipPermissions: true,
+  logging: true,
+  saveLog: false,
+  logDir: null,
+  logLevel: 'full',
+  fireAndForget: false
+};
+
+// Environment variables that set options; a parser returning undefined ignores the value
+const ENV_OPTIONS = [
+  { name: 'CLAUDE_SPAWN_TIMEOUT', option: 'timeout', parse: value => parseInt(value, 10) || undefined },
+  { name: 'CLAUDE_SPAWN_QUIET', option: 'logging', parse: value => value !== '1' },
+  { name: 'CLAUDE_SPAWN_SAVE_LOG', option: 'saveLog', parse: value => value === '1' || value === 'true' },
+  { name: 'CLAUDE_SPAWN_LOG_DIR', option: 'logDir', parse: value => path.resolve(value) },
+  { name: 'CLAUDE_SPAWN_MODEL', option: 'model', parse: value => value }
+];
+
+// Relative paths in a config file are relative to the file
+const PATH_OPTIONS = ['cwd', 'logDir', 'stateDir'];
+
+function readConfigFile(file) {
+  try {
+    if (file.endsWith('.js')) {
+      delete require.cache[require.resolve(file)];
+      return require(file);
+    }
+
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return path.basename(file) === 'package.json' ? content[PACKAGE_KEY] : content;
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Find the nearest config file
+ * @param {string} cwd - Directory to start searching from
+ * @returns {Object|null} `{ file, config }`, or null when there is none
+ */
+function findConfig(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) {
+        return { file, config: readConfigFile(file) };
+      }
+    }
+
+    // package.json only counts when it has a claude-spawn key
+    const packageFile = path.join(dir, 'package.json');
+    if (fs.existsSync(packageFile)) {
+      const config = readConfigFile(packageFile);
+      if (config) return { file: packageFile, config };
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function resolvePaths(settings, baseDir) {
+  const resolved = { ...settings };
+  for (const option of PATH_OPTIONS) {
+    if (typeof resolved[option] === 'string') {
+      resolved[option] = path.resolve(baseDir, resolved[option]);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Resolve options from, highest precedence first: explicit options, the
+ * environment, the selected profile, the config file, built-in defaults
+ * @param {Object} options - Explicit options; undefined values are ignored
+ * @param {Object} settings - Resolution settings
+ * @param {string} settings.cwd - Where to start looking for a config file (default: options.cwd or process.cwd())
+ * @param {string} settings.file - Use this config file instead of searching
+ * @param {string} settings.profile - Profile name (default: CLAUDE_SPAWN_PROFILE)
+ * @param {Object} settings.env - Environment (default: process.env)
+ * @returns {Object} `{ options, sources, file, profile, profiles }`; `sources` names where each option came from
+ */
+function resolveConfig(options = {}, settings = {}) {
+  const {
+    cwd = options.cwd || process.cwd(),
+    env = process.env
+  } = settings;
+
+  const found = settings.file
+    ? { file: path.resolve(settings.file), config: readConfigFile(path.resolve(settings.file)) }
+    : findConfig(cwd);
+  const config = (found && found.config) || {};
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid config file ${found.file}: expected an object`);
+  }
+
+  const baseDir = found ? path.dirname(found.file) : cwd;
+  const { profiles = {}, ...base } = config;
+  const profile = settings.profile || env.CLAUDE_SPAWN_PROFILE || null;
+
+  if (profile && !profiles[profile]) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profile}"${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`);
+  }
+
+  const layers = [
+    ['default', DEFAULTS],
+    ['config', resolvePaths(base, baseDir)],
+    ...(profile ? [[`profile:${profile}`, resolvePaths(profiles[profile], baseDir)]] : []),
+    ...ENV_OPTIONS
+      .filter(({ name }) => env[name] !== undefined && env[name] !== '')
+      .map(({ name, option, parse }) => [`env:${name}`, { [option]: parse(env[name]) }]),
+    ['explicit', options]
+  ];
+
+  const resolved = {};
+  const sources = {};
+  for (const [source, values] of layers) {
+    for (const [key, value] of Object.entries(values)) {
+      if (value === undefined) continue;
+      resolved[key] = value;
+      sources[key] = source;
+    }
+  }
+
+  return {
+    options: resolved,
+    sources,
+    file: found ? found.file : null,
+    profile,
+    profiles: Object.keys(profiles)
+  };
+}
+
+/**
+ * Fill in options from the environment and the project config when asked to,
+ * as runClaude does. Config files can be code, so a library call only reads
+ * them when it opts in.
+ * @param {Object} options - Explicit options; `config` is true to search up from `cwd` or names a
+ *   config file, and `profile` selects a profile (which implies `config: true`)
+ * @returns {Object} Resolved options
+ */
+function applyConfig(options) {
+  const { config, profile, ...explicit } = options;
+  if (!config && !profile) return explicit;
+
+  return resolveConfig(explicit, {
+    profile,
+    file: typeof config === 'string' ? config : undefined
+  }).options;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULTS,
+  ENV_OPTIONS,
+  findConfig,
+  resolveConfig,
+  applyConfig
+};
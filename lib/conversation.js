@@ -0,0 +1,63 @@
+/**
+ * Multi-turn Claude conversations built on `--resume`
+ */
+
+// Turns run in streaming mode unless they ask for JSON; text output has no session ID to resume
+function checkOutputFormat(options) {
+  const { outputFormat } = options;
+  if (outputFormat !== undefined && outputFormat !== null && outputFormat !== 'json' && outputFormat !== 'stream-json') {
+    throw new TypeError(`Conversations need outputFormat 'json' or 'stream-json' to resume the Claude session, not '${outputFormat}'`);
+  }
+}
+
+class Conversation {
+  constructor(options = {}, runClaude) {
+    const { resume = null, ...runOptions } = options;
+    checkOutputFormat(runOptions);
+
+    this.options = runOptions;
+    this.runClaude = runClaude;
+    this.claudeSessionId = resume;
+    this.turns = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Send a prompt; the first turn starts a conversation, later turns resume it
+   * @param {string} prompt - The prompt to send to Claude
+   * @param {Object} options - runClaude options for this turn only
+   * @returns {Promise<Object>} runClaude result with `result` (answer text) and `claudeSessionId`
+   */
+  send(prompt, options = {}) {
+    // Turns must run one after another: each resumes the previous session
+    const turn = this.queue.then(() => this.sendNow(prompt, options));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async sendNow(prompt, options) {
+    const turnOptions = { ...this.options, ...options };
+    checkOutputFormat(turnOptions);
+
+    const result = await this.runClaude(prompt, {
+      ...turnOptions,
+      stream: turnOptions.outputFormat !== 'json',
+      resume: this.claudeSessionId || undefined
+    });
+
+    if (result.claudeSessionId) {
+      this.claudeSessionId = result.claudeSessionId;
+    }
+
+    this.turns.push({
+      prompt,
+      result: result.result,
+      claudeSessionId: result.claudeSessionId,
+      sessionId: result.sessionId || null
+    });
+
+    return result;
+  }
+}
+
+module.exports = Conversation;
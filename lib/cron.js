@@ -0,0 +1,155 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in local time
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Expressions such as "0 0 30 2 *" never match; give up after this many years
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(text, field, expression) {
+  const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = named !== -1 ? named + field.min : Number(text);
+
+  if (!/^\d+$/.test(text) && named === -1) {
+    throw new TypeError(`Invalid ${field.name} "${text}" in cron expression "${expression}"`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new TypeError(`${field.name} ${value} is out of range (${field.min}-${field.max}) in "${expression}"`);
+  }
+  return value;
+}
+
+function parseField(text, field, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new TypeError(`Invalid step "${stepText}" in cron expression "${expression}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field, expression);
+      end = parseValue(to, field, expression);
+    } else {
+      start = parseValue(range, field, expression);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new TypeError(`Invalid range "${range}" in cron expression "${expression}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or a macro such as `@daily` or `@hourly`
+ * @returns {Object} `{ expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }` with Sets of values
+ * @throws {TypeError} When the expression is invalid
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new TypeError('A cron expression must be a string');
+  }
+
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new TypeError(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expression));
+  // Sunday is both 0 and 7
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*')
+  };
+}
+
+// As in cron, a restricted day of month and day of week match when either one
+// does; when either field starts with `*`, both have to match
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay || cron.anyWeekday) return dayMatch && weekdayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * First time after a date that a cron expression matches
+ * @param {string|Object} cron - Expression or the result of parseCron
+ * @param {Date|number} after - Start searching after this time
+ * @returns {Date|null} The next match, or null when there is none within a few years
+ */
+function nextCronRun(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun
+};
@@ -0,0 +1,106 @@
+/**
+ * Wrapper process for detached runs that save logs or write an exit file; it
+ * records the command's output and exit status after runCommand's process exits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const Logger = require('./logger');
+const { createRedactor } = require('./redact');
+
+// runCommand passes the run's configuration as JSON in this variable
+const RUNNER_ENV = 'CLAUDE_SPAWN_RUNNER_CONFIG';
+const FORWARDED_SIGNALS = ['SIGTERM', 'SIGINT', 'SIGHUP'];
+
+// Records the exit for runs without a session log (the task registry reads it)
+function writeExitFile(file, details) {
+  if (!file) return;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ ...details, finishedAt: new Date().toISOString() }));
+  } catch (err) {
+    // Nobody is left to report this to
+  }
+}
+
+async function run() {
+  const config = JSON.parse(process.env[RUNNER_ENV]);
+  const env = { ...process.env };
+  delete env[RUNNER_ENV];
+
+  const logger = new Logger({
+    saveLog: config.saveLog,
+    logToConsole: false,
+    logLevel: config.logLevel,
+    sessionId: config.sessionId,
+    logFile: config.logFile,
+    initialized: true,
+    transports: config.transports,
+    startTime: config.startTime,
+    maxLogSize: config.maxLogSize,
+    bytesWritten: config.bytesWritten,
+    redactor: createRedactor(config.redact)
+  });
+
+  const child = spawn(config.command, config.args, {
+    cwd: config.cwd,
+    env,
+    stdio: [config.inputFile ? 'pipe' : 'ignore', 'pipe', 'pipe']
+  });
+
+  // Input was handed over in a temp file; remove it once it is streaming
+  if (config.inputFile) {
+    child.stdin.on('error', () => {});
+    fs.createReadStream(config.inputFile)
+      .on('open', () => fs.unlink(config.inputFile, () => {}))
+      .pipe(child.stdin);
+  }
+
+  // Forward termination to the command and stay alive long enough to log its exit
+  const forward = (signal) => child.kill(signal);
+  for (const signal of FORWARDED_SIGNALS) {
+    process.on(signal, forward);
+  }
+
+  child.stdout.on('data', data => logger.logStdout(data));
+  child.stderr.on('data', data => logger.logStderr(data));
+
+  let failed = false;
+
+  child.on('error', async (error) => {
+    failed = true;
+    await logger.logError(error);
+    await logger.logExit(null, null);
+    writeExitFile(config.exitFile, { code: null, signal: null, error: error.message });
+    process.exit(1);
+  });
+
+  child.on('close', async (code, signal) => {
+    if (failed) return;
+
+    await logger.flush();
+    await logger.logExit(code, signal);
+    writeExitFile(config.exitFile, { code, signal });
+
+    for (const name of FORWARDED_SIGNALS) {
+      process.removeListener(name, forward);
+    }
+
+    // Mirror the command's exit status so the parent sees the same result
+    if (signal) {
+      process.kill(process.pid, signal);
+    } else {
+      process.exit(code);
+    }
+  });
+}
+
+if (require.main === module) {
+  run().catch(() => process.exit(1));
+}
+
+module.exports = {
+  RUNNER_ENV,
+  RUNNER_PATH: __filename
+};
@@ -0,0 +1,164 @@
+/**
+ * Line-based unified diffs for the file change report
+ */
+
+// Above this many line pairs the changed region is shown as one replaced block
+const MAX_LCS_CELLS = 4 * 1000 * 1000;
+
+function splitLines(text) {
+  if (text === '') return { lines: [], newlineAtEnd: true };
+  const newlineAtEnd = text.endsWith('\n');
+  const lines = text.split('\n');
+  if (newlineAtEnd) lines.pop();
+  return { lines, newlineAtEnd };
+}
+
+// Edit script between two line arrays: ' ' kept, '-' removed, '+' added
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => [' ', line]);
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > MAX_LCS_CELLS) {
+    ops.push(...a.slice(start, endA).map(line => ['-', line]), ...b.slice(start, endB).map(line => ['+', line]));
+  } else {
+    // Longest common subsequence lengths of the suffixes
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = a[start + i] === b[start + j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push([' ', a[start + i]]);
+        i++;
+        j++;
+      } else if (i < n && (j === m || table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+        ops.push(['-', a[start + i]]);
+        i++;
+      } else {
+        ops.push(['+', b[start + j]]);
+        j++;
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map(line => [' ', line]));
+  return ops;
+}
+
+// A one-line range is written without its count, as diff -u does
+function range(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Unified diff between two texts
+ * @param {string|null} before - Old text; null for a created file
+ * @param {string|null} after - New text; null for a deleted file
+ * @param {Object} options - Diff options
+ * @param {string} options.path - File path shown in the headers
+ * @param {number} options.context - Unchanged lines around each change (default: 3)
+ * @returns {string} The diff, or '' when the texts are equal
+ */
+function unifiedDiff(before, after, options = {}) {
+  const { path: file = 'file', context = 3 } = options;
+  const old = splitLines(before || '');
+  const current = splitLines(after || '');
+  const ops = diffLines(old.lines, current.lines);
+
+  // Mark the last line of a side that has no final newline
+  const lastOld = old.newlineAtEnd ? -1 : old.lines.length - 1;
+  const lastNew = current.newlineAtEnd ? -1 : current.lines.length - 1;
+
+  const rows = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const [type, text] of ops) {
+    rows.push({
+      type,
+      text,
+      oldLine,
+      newLine,
+      noNewline: (type !== '+' && oldLine === lastOld) || (type !== '-' && newLine === lastNew)
+    });
+    if (type !== '+') oldLine++;
+    if (type !== '-') newLine++;
+  }
+
+  // A line that only differs in its final newline is a change too
+  const split = rows.findIndex(row => row.type === ' ' && (row.oldLine === lastOld) !== (row.newLine === lastNew));
+  if (split !== -1) {
+    const row = rows[split];
+    rows.splice(split, 1,
+      { ...row, type: '-', noNewline: row.oldLine === lastOld },
+      { ...row, type: '+', noNewline: row.newLine === lastNew });
+
+    // Keep removals ahead of additions in the change block it joins
+    let start = split;
+    while (start > 0 && rows[start - 1].type !== ' ') start--;
+    let end = split + 2;
+    while (end < rows.length && rows[end].type !== ' ') end++;
+    const block = rows.slice(start, end);
+    rows.splice(start, block.length,
+      ...block.filter(change => change.type === '-'),
+      ...block.filter(change => change.type === '+'));
+  }
+
+  const changed = rows.map((row, index) => (row.type !== ' ' ? index : -1)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  // Changes closer than twice the context share a hunk
+  const hunks = [];
+  for (const index of changed) {
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && index - hunk.end <= context * 2) {
+      hunk.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [
+    `--- ${before === null ? '/dev/null' : `a/${file}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${file}`}`
+  ];
+
+  for (const hunk of hunks) {
+    const slice = rows.slice(Math.max(0, hunk.start - context), Math.min(rows.length, hunk.end + context + 1));
+    const oldCount = slice.filter(row => row.type !== '+').length;
+    const newCount = slice.filter(row => row.type !== '-').length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine : slice.find(row => row.type !== '+').oldLine + 1;
+    const newStart = newCount === 0 ? slice[0].newLine : slice.find(row => row.type !== '-').newLine + 1;
+
+    lines.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+    for (const row of slice) {
+      lines.push(`${row.type}${row.text}`);
+      if (row.noNewline) lines.push('\\ No newline at end of file');
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff
+};
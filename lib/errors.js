@@ -0,0 +1,147 @@
+/**
+ * Error classes used by claude-code-spawn
+ *
+ * Every error carries the details of the run that produced it:
+ * `code` (exit code, or system error code for spawn failures), `signal`,
+ * `stdout`, `stderr`, `pid`, `sessionId`, `durationMs` and `command`.
+ */
+
+class ClaudeSpawnError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code !== undefined ? details.code : null;
+    this.signal = details.signal || null;
+    this.stdout = details.stdout || '';
+    this.stderr = details.stderr || '';
+    this.pid = details.pid || null;
+    this.sessionId = details.sessionId || null;
+    this.durationMs = details.durationMs !== undefined ? details.durationMs : null;
+    this.command = details.command || null;
+  }
+}
+
+// The process ran and exited with a non-zero code or a signal
+class CommandFailedError extends ClaudeSpawnError {}
+
+class TimeoutError extends ClaudeSpawnError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.timeout = details.timeout || null;
+  }
+}
+
+// No stdout or stderr arrived for `timeout` ms
+class IdleTimeoutError extends TimeoutError {}
+
+// The process could not be started (ENOENT, EACCES, ...)
+class SpawnError extends ClaudeSpawnError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.cause = details.cause;
+  }
+}
+
+class AbortError extends ClaudeSpawnError {
+  constructor(message = 'The operation was aborted', details = {}) {
+    super(message, details);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.reason = details.reason;
+  }
+}
+
+// A prompt template could not be rendered: syntax, missing variables, include limits
+class TemplateError extends ClaudeSpawnError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.template = details.template || null;
+    this.missing = details.missing || [];
+  }
+}
+
+// Claude CLI failures, classified from stderr and the structured result
+class ClaudeError extends CommandFailedError {}
+class CreditBalanceError extends ClaudeError {}
+class AuthenticationError extends ClaudeError {}
+class RateLimitError extends ClaudeError {}
+class OverloadedError extends ClaudeError {}
+
+const CLAUDE_ERROR_PATTERNS = [
+  { ErrorClass: CreditBalanceError, pattern: /credit balance is too low/i },
+  { ErrorClass: AuthenticationError, pattern: /invalid api key|authentication_error|authentication failed|unauthorized|\/login|oauth token/i },
+  { ErrorClass: RateLimitError, pattern: /rate[ _-]?limit|too many requests|\b429\b|usage limit/i },
+  { ErrorClass: OverloadedError, pattern: /overloaded|\b529\b/i }
+];
+
+function parseResult(stdout) {
+  if (typeof stdout !== 'string' || stdout.trim() === '') return null;
+
+  // JSON output is one object; stream-json ends with the result event
+  const lines = stdout.trim().split('\n');
+  for (const text of [stdout, lines[lines.length - 1]]) {
+    try {
+      const value = JSON.parse(text);
+      if (value && typeof value === 'object') return value;
+    } catch (e) {
+      // Not JSON
+    }
+  }
+  return null;
+}
+
+/**
+ * What a failed run says about why it failed: stderr, plus the error fields of
+ * a JSON or stream-json result. Free-form stdout is Claude's answer, which may
+ * well mention "429" or "unauthorized", so it is never included.
+ * @param {CommandFailedError} error - Failed run
+ * @returns {string} Text to match failure patterns against
+ */
+function describeFailure(error) {
+  const parts = [error.stderr || ''];
+  const result = parseResult(error.stdout);
+
+  if (result) {
+    for (const value of [result.error, result.subtype]) {
+      if (typeof value === 'string') parts.push(value);
+      else if (value && typeof value === 'object') parts.push(JSON.stringify(value));
+    }
+    // An error result carries the error message instead of an answer
+    if (result.is_error && typeof result.result === 'string') parts.push(result.result);
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Turn a failed Claude run into the matching ClaudeError subtype
+ * @param {CommandFailedError} error - Failure reported by runCommand
+ * @returns {ClaudeError} Classified error with the same details
+ */
+function classifyClaudeError(error) {
+  if (!(error instanceof CommandFailedError) || error instanceof ClaudeError) {
+    return error;
+  }
+
+  const output = describeFailure(error);
+  const match = CLAUDE_ERROR_PATTERNS.find(({ pattern }) => pattern.test(output));
+  const ErrorClass = match ? match.ErrorClass : ClaudeError;
+
+  return new ErrorClass(error.message, error);
+}
+
+module.exports = {
+  ClaudeSpawnError,
+  CommandFailedError,
+  TimeoutError,
+  IdleTimeoutError,
+  SpawnError,
+  AbortError,
+  TemplateError,
+  ClaudeError,
+  CreditBalanceError,
+  AuthenticationError,
+  RateLimitError,
+  OverloadedError,
+  classifyClaudeError,
+  describeFailure
+};
@@ -0,0 +1,398 @@
+/**
+ * Export saved sessions as Markdown, HTML or JSON transcripts
+ */
+
+const Logger = require('./logger');
+const { parseStreamJson } = require('./stream-json');
+const { createRedactor } = require('./redact');
+
+const EXPORT_FORMATS = ['md', 'html', 'json'];
+
+function contentToText(content) {
+  if (content === undefined || content === null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(block => (block.type === 'text' ? block.text : JSON.stringify(block))).join('\n');
+  }
+  return JSON.stringify(content, null, 2);
+}
+
+function getContent(event) {
+  const content = event.message && event.message.content;
+  return Array.isArray(content) ? content : [];
+}
+
+// Claude puts the prompt last, unless it was sent on stdin
+function findPrompt(start, logs) {
+  const promptEntry = logs.find(entry => entry.type === 'prompt');
+  if (promptEntry) {
+    return { text: promptEntry.text || null, via: promptEntry.via };
+  }
+
+  const args = start.args || [];
+  if (start.command === 'claude' && args.includes('-p') && args.length > 1) {
+    return { text: args[args.length - 1], via: 'argv' };
+  }
+  return null;
+}
+
+function isStreamJson(start, logs) {
+  const options = logs.find(entry => entry.type === 'claude_options');
+  if (options && options.options) {
+    return options.options.outputFormat === 'stream-json';
+  }
+
+  const args = start.args || [];
+  const index = args.indexOf('--output-format');
+  return index !== -1 && args[index + 1] === 'stream-json';
+}
+
+// Consecutive chunks of the same stream become one block
+function mergeOutput(logs) {
+  const blocks = [];
+  for (const entry of logs) {
+    if (entry.type !== 'stdout' && entry.type !== 'stderr') continue;
+
+    const last = blocks[blocks.length - 1];
+    if (last && last.stream === entry.type) {
+      last.text += entry.data;
+    } else {
+      blocks.push({ stream: entry.type, text: entry.data, timestamp: entry.timestamp });
+    }
+  }
+  return blocks;
+}
+
+// Text, tool calls paired with their results, and the final result
+function buildTurns(stdout) {
+  const turns = [];
+  const tools = new Map();
+
+  for (const event of parseStreamJson(stdout)) {
+    if (event.type === 'assistant') {
+      for (const block of getContent(event)) {
+        if (block.type === 'text' && block.text) {
+          turns.push({ kind: 'text', text: block.text });
+        } else if (block.type === 'tool_use') {
+          const tool = {
+            kind: 'tool',
+            id: block.id,
+            name: block.name,
+            input: block.input === undefined ? null : block.input,
+            result: null
+          };
+          tools.set(block.id, tool);
+          turns.push(tool);
+        }
+      }
+    } else if (event.type === 'user') {
+      for (const block of getContent(event)) {
+        if (block.type !== 'tool_result') continue;
+
+        const result = { content: contentToText(block.content), isError: block.is_error === true };
+        const tool = tools.get(block.tool_use_id);
+        if (tool) {
+          tool.result = result;
+        } else {
+          turns.push({ kind: 'tool', id: block.tool_use_id, name: 'unknown', input: null, result });
+        }
+      }
+    } else if (event.type === 'result') {
+      turns.push({
+        kind: 'result',
+        text: event.result === undefined ? '' : contentToText(event.result),
+        isError: event.is_error === true,
+        numTurns: event.num_turns === undefined ? null : event.num_turns,
+        costUsd: event.total_cost_usd === undefined ? null : event.total_cost_usd
+      });
+    }
+  }
+
+  return turns;
+}
+
+function describeNote(entry) {
+  switch (entry.type) {
+    case 'attempt':
+      return entry.success
+        ? `Attempt ${entry.attempt} succeeded`
+        : `Attempt ${entry.attempt} failed: ${entry.error}`;
+    case 'terminated':
+      return `Terminated (${entry.reason}) with ${entry.signal}`;
+    case 'aborted':
+      return `Aborted${entry.reason ? `: ${entry.reason}` : ''}`;
+    case 'error':
+      return `Error: ${entry.message}`;
+    case 'truncated':
+      return `Output truncated at ${entry.maxLogSize} bytes`;
+    case 'claude_session':
+      return `Claude session ${entry.claudeSessionId}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Turn a session's log entries into a transcript
+ * @param {Object[]} logs - Entries from viewLog
+ * @returns {Object} Transcript with metadata, prompt, merged output and, for stream-json, turns
+ */
+function buildTranscript(logs) {
+  const start = logs.find(entry => entry.type === 'session_start') || {};
+  const end = logs.find(entry => entry.type === 'session_end') || null;
+  const options = logs.find(entry => entry.type === 'claude_options');
+  const output = mergeOutput(logs);
+  const streamJson = isStreamJson(start, logs);
+
+  let status = 'running';
+  if (end) {
+    status = end.code === 0 && !end.signal ? 'success' : 'failed';
+  }
+
+  const transcript = {
+    sessionId: start.sessionId || null,
+    command: start.command || null,
+    args: start.args || [],
+    cwd: start.cwd || null,
+    prompt: findPrompt(start, logs),
+    options: options ? options.options : null,
+    startedAt: start.timestamp || null,
+    endedAt: end ? end.timestamp : null,
+    durationMs: end ? end.duration : null,
+    exitCode: end ? end.code : null,
+    signal: end ? end.signal : null,
+    status,
+    notes: logs
+      .map(entry => ({ timestamp: entry.timestamp, text: describeNote(entry) }))
+      .filter(note => note.text),
+    output
+  };
+
+  if (streamJson) {
+    const stdout = output.filter(block => block.stream === 'stdout').map(block => block.text).join('');
+    transcript.turns = buildTurns(stdout);
+  }
+
+  return transcript;
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return 'n/a';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function describeStatus(transcript) {
+  if (transcript.status === 'running') return 'not finished';
+  if (transcript.signal) return `killed by ${transcript.signal}`;
+  return `exit code ${transcript.exitCode}`;
+}
+
+function commandLine(transcript) {
+  return [transcript.command, ...transcript.args].filter(Boolean).join(' ');
+}
+
+function formatJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+// Single-line text for inline code; the full prompt has its own section
+function inlineCode(text) {
+  const line = text.replace(/\s+/g, ' ').replace(/`/g, "'");
+  return line.length > 200 ? `${line.slice(0, 197)}...` : line;
+}
+
+// A fence longer than any run of backticks in the text
+function fence(text, language = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${language}\n${text.replace(/\n$/, '')}\n${marks}`;
+}
+
+function toMarkdown(transcript) {
+  const lines = [
+    `# Session ${transcript.sessionId}`,
+    '',
+    `- **Command:** \`${inlineCode(commandLine(transcript))}\``,
+    `- **Working directory:** \`${transcript.cwd}\``,
+    `- **Started:** ${transcript.startedAt}`,
+    `- **Ended:** ${transcript.endedAt || 'n/a'} (${formatDuration(transcript.durationMs)})`,
+    `- **Status:** ${transcript.status}, ${describeStatus(transcript)}`,
+    ''
+  ];
+
+  if (transcript.prompt) {
+    lines.push('## Prompt', '', transcript.prompt.text
+      ? fence(transcript.prompt.text, 'text')
+      : `_Sent on ${transcript.prompt.via}, not logged_`, '');
+  }
+
+  if (transcript.notes.length > 0) {
+    lines.push('## Events', '');
+    for (const note of transcript.notes) {
+      lines.push(`- ${note.timestamp} ${note.text}`);
+    }
+    lines.push('');
+  }
+
+  if (transcript.turns) {
+    lines.push('## Transcript', '');
+    for (const turn of transcript.turns) {
+      if (turn.kind === 'text') {
+        lines.push(turn.text, '');
+      } else if (turn.kind === 'tool') {
+        lines.push(
+          '<details>',
+          `<summary>Tool: ${turn.name}${turn.result && turn.result.isError ? ' (error)' : ''}</summary>`,
+          '',
+          '**Input**',
+          '',
+          fence(formatJson(turn.input), 'json'),
+          ''
+        );
+        if (turn.result) {
+          lines.push('**Result**', '', fence(turn.result.content), '');
+        }
+        lines.push('</details>', '');
+      } else if (turn.kind === 'result') {
+        lines.push(`### Result${turn.isError ? ' (error)' : ''}`, '', turn.text, '');
+      }
+    }
+  }
+
+  // stream-json stdout is already shown as the transcript
+  const blocks = transcript.output.filter(block => !transcript.turns || block.stream === 'stderr');
+  if (blocks.length > 0) {
+    lines.push(transcript.turns ? '## stderr' : '## Output', '');
+    for (const block of blocks) {
+      if (!transcript.turns) lines.push(`**${block.stream}**`, '');
+      lines.push(fence(block.text), '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1f2328; }
+pre { background: #f6f8fa; padding: 0.75em; overflow-x: auto; white-space: pre-wrap; }
+pre.stderr { background: #fff1f0; }
+details { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5em 0.75em; margin: 0.5em 0; }
+summary { cursor: pointer; font-weight: 600; }
+dt { font-weight: 600; }
+.error { color: #cf222e; }
+`;
+
+function toHtml(transcript) {
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>Session ${escapeHtml(transcript.sessionId)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>Session ${escapeHtml(transcript.sessionId)}</h1>`,
+    '<dl>',
+    `<dt>Command</dt><dd><code>${escapeHtml(commandLine(transcript))}</code></dd>`,
+    `<dt>Working directory</dt><dd><code>${escapeHtml(transcript.cwd)}</code></dd>`,
+    `<dt>Started</dt><dd>${escapeHtml(transcript.startedAt)}</dd>`,
+    `<dt>Ended</dt><dd>${escapeHtml(transcript.endedAt || 'n/a')} (${formatDuration(transcript.durationMs)})</dd>`,
+    `<dt>Status</dt><dd class="${transcript.status === 'failed' ? 'error' : ''}">${transcript.status}, ${escapeHtml(describeStatus(transcript))}</dd>`,
+    '</dl>'
+  ];
+
+  if (transcript.prompt) {
+    parts.push('<h2>Prompt</h2>', transcript.prompt.text
+      ? `<pre>${escapeHtml(transcript.prompt.text)}</pre>`
+      : `<p><em>Sent on ${escapeHtml(transcript.prompt.via)}, not logged</em></p>`);
+  }
+
+  if (transcript.notes.length > 0) {
+    parts.push('<h2>Events</h2>', '<ul>');
+    for (const note of transcript.notes) {
+      parts.push(`<li>${escapeHtml(note.timestamp)} ${escapeHtml(note.text)}</li>`);
+    }
+    parts.push('</ul>');
+  }
+
+  if (transcript.turns) {
+    parts.push('<h2>Transcript</h2>');
+    for (const turn of transcript.turns) {
+      if (turn.kind === 'text') {
+        parts.push(`<pre>${escapeHtml(turn.text)}</pre>`);
+      } else if (turn.kind === 'tool') {
+        const failed = turn.result && turn.result.isError;
+        parts.push(
+          '<details>',
+          `<summary${failed ? ' class="error"' : ''}>Tool: ${escapeHtml(turn.name)}${failed ? ' (error)' : ''}</summary>`,
+          '<h4>Input</h4>',
+          `<pre>${escapeHtml(formatJson(turn.input))}</pre>`
+        );
+        if (turn.result) {
+          parts.push('<h4>Result</h4>', `<pre>${escapeHtml(turn.result.content)}</pre>`);
+        }
+        parts.push('</details>');
+      } else if (turn.kind === 'result') {
+        parts.push(`<h3${turn.isError ? ' class="error"' : ''}>Result</h3>`, `<pre>${escapeHtml(turn.text)}</pre>`);
+      }
+    }
+  }
+
+  const blocks = transcript.output.filter(block => !transcript.turns || block.stream === 'stderr');
+  if (blocks.length > 0) {
+    parts.push(`<h2>${transcript.turns ? 'stderr' : 'Output'}</h2>`);
+    for (const block of blocks) {
+      parts.push(`<pre class="${block.stream}" title="${escapeHtml(block.timestamp)}">${escapeHtml(block.text)}</pre>`);
+    }
+  }
+
+  parts.push('</body>', '</html>', '');
+  return parts.join('\n');
+}
+
+/**
+ * Render a saved session as a shareable transcript
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'md', 'html' or 'json' (default: 'md')
+ * @param {string} options.logDir - Log directory
+ * @param {boolean|Object} options.redact - Redact secrets that made it into the log (see runCommand)
+ * @returns {Promise<string>} The rendered transcript
+ */
+async function exportSession(sessionId, options = {}) {
+  const { format = 'md', logDir } = options;
+  const redactor = createRedactor(options.redact);
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new TypeError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  let transcript = buildTranscript(await Logger.viewLog(sessionId, logDir));
+  if (redactor) {
+    // After merging, so secrets split across output chunks are found too
+    transcript = redactor.redactValue(transcript).value;
+  }
+
+  switch (format) {
+    case 'html':
+      return toHtml(transcript);
+    case 'json':
+      return formatJson(transcript) + '\n';
+    default:
+      return toMarkdown(transcript);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildTranscript,
+  exportSession
+};
@@ -0,0 +1,121 @@
+/**
+ * Follow a session log while it is being written, like `tail -f`
+ */
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { promisify } = require('util');
+const Logger = require('./logger');
+const { AbortError } = require('./errors');
+const { isProcessAlive } = require('./task-registry');
+
+const stat = promisify(fs.stat);
+
+function readRange(file, start, end) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    fs.createReadStream(file, { start, end: end - 1 })
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+}
+
+function delay(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    return null; // Skip invalid lines
+  }
+}
+
+/**
+ * Yield a session's log entries: those already written, then new ones as
+ * they are appended. Ends after the `session_end` entry, or once the process
+ * writing the log has exited without one (a crash).
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Follow options
+ * @param {string} options.logDir - Log directory
+ * @param {number} options.interval - Polling interval in milliseconds (default: 250)
+ * @param {AbortSignal} options.signal - Stop following; the iterator then throws an AbortError
+ * @returns {AsyncGenerator<Object>} Log entries
+ */
+async function* followLog(sessionId, options = {}) {
+  const { logDir, interval = 250, signal } = options;
+
+  const logFile = await Logger.findSessionFile(sessionId, logDir);
+  if (!logFile) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+
+  // Compressed sessions are finished
+  if (logFile.endsWith('.gz')) {
+    yield* await Logger.readLogFile(logFile);
+    return;
+  }
+
+  const decoder = new StringDecoder('utf8');
+  let position = 0;
+  let partial = '';
+  let yielded = 0;
+  // Detached runs are written by the runner process, whose pid is not logged
+  let writerPid = null;
+
+  for (;;) {
+    if (signal && signal.aborted) {
+      throw new AbortError(undefined, { sessionId, reason: signal.reason });
+    }
+
+    // Checked before reading, so whatever the writer wrote before exiting is read
+    const writerGone = writerPid !== null && !isProcessAlive(writerPid);
+    let size;
+    try {
+      size = (await stat(logFile)).size;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      // Compressed by log retention while we were following it
+      yield* (await Logger.readLogFile(logFile)).slice(yielded);
+      return;
+    }
+
+    if (size > position) {
+      const data = await readRange(logFile, position, size);
+      position = size;
+
+      const lines = (partial + decoder.write(data)).split('\n');
+      partial = lines.pop();
+
+      for (const line of lines) {
+        const entry = parseLine(line);
+        if (!entry) continue;
+
+        yielded++;
+        yield entry;
+        if (entry.type === 'session_end') return;
+        if (entry.type === 'session_start' && !entry.detached) writerPid = entry.pid;
+      }
+    } else if (writerGone) {
+      return;
+    }
+
+    await delay(interval, signal);
+  }
+}
+
+module.exports = {
+  followLog
+};
@@ -0,0 +1,267 @@
+/**
+ * Retention for claude-spawn-logs: age, size and count limits, and gzip
+ * compression of older sessions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
+const { promisify } = require('util');
+
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+const open = promisify(fs.open);
+const read = promisify(fs.read);
+const close = promisify(fs.close);
+const rmdir = promisify(fs.rmdir);
+const utimes = promisify(fs.utimes);
+const pipeline = promisify(stream.pipeline);
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// Sessions are compressed once they have not been written to for a day
+const DEFAULT_COMPRESS_AFTER = DURATION_UNITS.d;
+
+// Sessions without a session_end that were written to more recently than this
+// may still be appended to by another process
+const ACTIVE_WINDOW = DURATION_UNITS.d;
+
+function parseWithUnits(value, units, defaultUnit, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number' && value >= 0) return value;
+
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(value).trim());
+  const unit = match && (match[2].toLowerCase() || defaultUnit);
+  if (!match || !(unit in units)) {
+    throw new TypeError(`Invalid ${name}: ${value}`);
+  }
+  return Math.round(parseFloat(match[1]) * units[unit]);
+}
+
+/**
+ * Parse a duration such as `7d`, `12h` or `30m`; numbers are milliseconds
+ * @param {number|string} value - Duration
+ * @returns {number|null} Milliseconds
+ */
+function parseDuration(value) {
+  return parseWithUnits(value, DURATION_UNITS, 'ms', 'duration');
+}
+
+/**
+ * Parse a size such as `500MB` or `10kb`; numbers are bytes
+ * @param {number|string} value - Size
+ * @returns {number|null} Bytes
+ */
+function parseSize(value) {
+  return parseWithUnits(value, SIZE_UNITS, 'b', 'size');
+}
+
+function isSessionFile(file) {
+  return file.startsWith('session-') && (file.endsWith('.log') || file.endsWith('.log.gz'));
+}
+
+/**
+ * List session log files, newest first
+ * @param {string} logDir - Log directory
+ * @returns {Promise<Object[]>} `{ file, size, mtimeMs, compressed }` entries
+ */
+async function listSessionFiles(logDir) {
+  const sessions = [];
+  let dates;
+
+  try {
+    dates = await readdir(logDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return sessions;
+    throw err;
+  }
+
+  for (const date of dates.sort().reverse()) {
+    const dateDir = path.join(logDir, date);
+    let files;
+    try {
+      files = await readdir(dateDir);
+    } catch (err) {
+      continue; // Not a date directory
+    }
+
+    for (const file of files.filter(isSessionFile).sort().reverse()) {
+      const filePath = path.join(dateDir, file);
+      try {
+        const stats = await stat(filePath);
+        sessions.push({
+          file: filePath,
+          size: stats.size,
+          mtimeMs: stats.mtimeMs,
+          compressed: file.endsWith('.gz')
+        });
+      } catch (err) {
+        // Removed while listing
+      }
+    }
+  }
+
+  return sessions;
+}
+
+async function hasSessionEnd(file, size) {
+  const length = Math.min(size, 4096);
+  let fd;
+  try {
+    fd = await open(file, 'r');
+    const { buffer } = await read(fd, Buffer.alloc(length), 0, length, size - length);
+    return buffer.toString('utf8').includes('"type":"session_end"');
+  } catch (err) {
+    return false;
+  } finally {
+    if (fd !== undefined) await close(fd).catch(() => {});
+  }
+}
+
+// Another logger may still be writing the session: never delete or compress it
+async function isInProgress(session, now) {
+  if (session.compressed || now - session.mtimeMs > ACTIVE_WINDOW) return false;
+  return !(await hasSessionEnd(session.file, session.size));
+}
+
+async function compressFile(file) {
+  const target = `${file}.gz`;
+  const stats = await stat(file);
+
+  await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(target));
+  // Keep the original modification time so age limits still apply
+  await utimes(target, stats.atime, stats.mtime);
+  await unlink(file);
+
+  return { file: target, size: (await stat(target)).size };
+}
+
+async function removeEmptyDirs(logDir) {
+  let dates;
+  try {
+    dates = await readdir(logDir);
+  } catch (err) {
+    return;
+  }
+
+  for (const date of dates) {
+    try {
+      await rmdir(path.join(logDir, date));
+    } catch (err) {
+      // Not empty, or not a directory
+    }
+  }
+}
+
+/**
+ * Apply retention limits to a log directory
+ * @param {string} logDir - Log directory
+ * @param {Object} options - Retention settings
+ * @param {number|string} options.maxAge - Delete sessions last written longer ago than this
+ * @param {number|string} options.maxTotalSize - Delete the oldest sessions beyond this total size
+ * @param {number} options.maxSessions - Keep at most this many sessions
+ * @param {boolean|number|string} options.compress - gzip sessions older than this (`true`: one day)
+ * @param {string[]} options.exclude - More log files that are never touched; unfinished sessions
+ *   written to in the last day are always skipped
+ * @param {boolean} options.dryRun - Report what would happen without changing anything
+ * @returns {Promise<Object>} `{ deleted, compressed, kept, freedBytes }`
+ */
+async function pruneLogs(logDir, options = {}) {
+  const maxAge = parseDuration(options.maxAge);
+  const maxTotalSize = parseSize(options.maxTotalSize);
+  const maxSessions = options.maxSessions || null;
+  const compressAfter = options.compress === true
+    ? DEFAULT_COMPRESS_AFTER
+    : parseDuration(options.compress || null);
+  const exclude = new Set((options.exclude || []).map(file => path.resolve(file)));
+  const dryRun = Boolean(options.dryRun);
+  const now = Date.now();
+
+  const deleted = [];
+  const compressed = [];
+  const kept = [];
+
+  for (const session of await listSessionFiles(logDir)) {
+    if (await isInProgress(session, now)) {
+      exclude.add(path.resolve(session.file));
+    }
+
+    let reason = null;
+    if (!exclude.has(path.resolve(session.file))) {
+      if (maxAge !== null && now - session.mtimeMs > maxAge) {
+        reason = 'age';
+      } else if (maxSessions && kept.length >= maxSessions) {
+        reason = 'count';
+      }
+    }
+
+    if (reason) {
+      deleted.push({ ...session, reason });
+    } else {
+      kept.push(session);
+    }
+  }
+
+  if (compressAfter !== null) {
+    for (const session of kept) {
+      if (session.compressed || exclude.has(path.resolve(session.file)) ||
+          now - session.mtimeMs <= compressAfter) {
+        continue;
+      }
+
+      const entry = { file: session.file, size: session.size };
+      if (!dryRun) {
+        const result = await compressFile(session.file);
+        entry.compressedSize = result.size;
+        session.file = result.file;
+        session.size = result.size;
+        session.compressed = true;
+      }
+      compressed.push(entry);
+    }
+  }
+
+  if (maxTotalSize !== null) {
+    // Newest first: once the limit is reached, every older session goes
+    let total = 0;
+    for (let i = 0; i < kept.length; i++) {
+      const session = kept[i];
+      total += session.size;
+      if (total > maxTotalSize && !exclude.has(path.resolve(session.file))) {
+        deleted.push({ ...session, reason: 'size' });
+        kept.splice(i--, 1);
+        total = Infinity;
+      }
+    }
+  }
+
+  if (!dryRun) {
+    for (const session of deleted) {
+      try {
+        await unlink(session.file);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    await removeEmptyDirs(logDir);
+  }
+
+  return {
+    deleted: deleted.map(({ file, size, reason }) => ({ file, size, reason })),
+    compressed,
+    kept: kept.length,
+    freedBytes: deleted.reduce((sum, session) => sum + session.size, 0) +
+      compressed.reduce((sum, entry) => sum + (entry.compressedSize === undefined ? 0 : entry.size - entry.compressedSize), 0),
+    dryRun
+  };
+}
+
+module.exports = {
+  parseDuration,
+  parseSize,
+  listSessionFiles,
+  pruneLogs
+};
@@ -0,0 +1,204 @@
+/**
+ * Search and filter saved sessions by time, working directory, command,
+ * exit status and the text of prompts and output
+ */
+
+const path = require('path');
+const Logger = require('./logger');
+const { parseDuration, listSessionFiles } = require('./log-retention');
+
+const SNIPPET_CONTEXT = 40;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a point in time: a Date, epoch milliseconds, an ISO date, or a
+ * duration such as `2d` meaning that long ago
+ * @param {Date|number|string} value - Time
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseTime(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  if (/^\d+(\.\d+)?\s*[a-z]+$/i.test(value)) {
+    return Date.now() - parseDuration(value);
+  }
+
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new TypeError(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+function sessionIdFromFile(file) {
+  const match = /^session-(.+?)\.log(\.gz)?$/.exec(path.basename(file));
+  return match ? match[1] : null;
+}
+
+// Date directories are named after the UTC day their sessions started
+function dayOf(file) {
+  const time = Date.parse(path.basename(path.dirname(file)));
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Find every occurrence of `text` and cut a snippet around the first few
+ * @returns {Object} `{ count, snippets }`; each snippet has `text` and the
+ *   `start`/`end` offsets of the match within it
+ */
+function findMatches(source, content, text, maxSnippets) {
+  const haystack = content.toLowerCase();
+  const needle = text.toLowerCase();
+  const snippets = [];
+  let count = 0;
+
+  for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + needle.length)) {
+    count++;
+    if (snippets.length >= maxSnippets) continue;
+
+    const from = Math.max(0, index - SNIPPET_CONTEXT);
+    const to = Math.min(content.length, index + needle.length + SNIPPET_CONTEXT);
+    const prefix = from > 0 ? '...' : '';
+    const snippet = content.slice(from, to).replace(/\s/g, ' ');
+
+    snippets.push({
+      source,
+      text: `${prefix}${snippet}${to < content.length ? '...' : ''}`,
+      start: prefix.length + index - from,
+      end: prefix.length + index - from + needle.length
+    });
+  }
+
+  return { count, snippets };
+}
+
+function summarize(logFile, logs) {
+  const start = logs.find(entry => entry.type === 'session_start') || {};
+  const end = logs.find(entry => entry.type === 'session_end') || null;
+  const prompt = logs.find(entry => entry.type === 'prompt' && entry.template) || null;
+  const failed = end
+    ? end.code !== 0 || Boolean(end.signal)
+    : logs.some(entry => entry.type === 'error' || entry.type === 'terminated');
+
+  return {
+    sessionId: start.sessionId || sessionIdFromFile(logFile),
+    command: start.command || null,
+    args: start.args || [],
+    cwd: start.cwd || null,
+    template: prompt ? prompt.template.name : null,
+    timestamp: start.timestamp || null,
+    logFile,
+    finished: Boolean(end),
+    code: end ? end.code : null,
+    signal: end ? end.signal : null,
+    duration: end ? end.duration : null,
+    failed
+  };
+}
+
+// The texts a query is matched against, with output chunks joined so a
+// match can span chunk boundaries
+function searchableText(session, logs) {
+  const join = type => logs.filter(entry => entry.type === type).map(entry => entry.data).join('');
+
+  return [
+    ['command', [session.command, ...session.args].filter(Boolean).join(' ')],
+    ['prompt', logs.filter(entry => entry.type === 'prompt' && entry.text).map(entry => entry.text).join('\n')],
+    ['stdout', join('stdout')],
+    ['stderr', join('stderr')],
+    ['error', logs.filter(entry => entry.type === 'error').map(entry => entry.message).join('\n')]
+  ];
+}
+
+function isInside(dir, parent) {
+  const relative = path.relative(parent, dir);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Search saved sessions, newest first
+ * @param {Object} query - Search options
+ * @param {string} query.logDir - Log directory (default: ./claude-spawn-logs)
+ * @param {string} query.text - Case-insensitive text to find in the command, prompt, output and errors
+ * @param {Date|number|string} query.since - Sessions started at or after this time (`'2d'`, ISO date, ...)
+ * @param {Date|number|string} query.until - Sessions started before this time
+ * @param {string} query.cwd - Sessions run in this directory or below it
+ * @param {number} query.exitCode - Sessions that exited with this code
+ * @param {boolean} query.failed - Only failed (true) or only successful (false) sessions
+ * @param {string} query.command - Substring of the command line
+ * @param {string} query.template - Sessions whose prompt was rendered from this template
+ * @param {number} query.limit - Maximum number of sessions (default: 20)
+ * @param {number} query.maxSnippets - Snippets per session (default: 3)
+ * @returns {Promise<Object[]>} Session summaries with `matches` and `snippets` when searching text
+ */
+async function searchSessions(query = {}) {
+  const {
+    logDir = path.join(process.cwd(), 'claude-spawn-logs'),
+    text,
+    cwd,
+    exitCode,
+    failed,
+    command,
+    template,
+    limit = 20,
+    maxSnippets = 3
+  } = query;
+  const since = parseTime(query.since);
+  const until = parseTime(query.until);
+  const results = [];
+
+  for (const file of await listSessionFiles(logDir)) {
+    if (results.length >= limit) break;
+
+    // Skip whole days outside the time range before reading anything
+    const day = dayOf(file.file);
+    if (day !== null && ((since !== null && day + DAY <= since) || (until !== null && day > until))) {
+      continue;
+    }
+
+    let logs;
+    try {
+      logs = await Logger.readLogFile(file.file);
+    } catch (err) {
+      continue; // Unreadable or removed while searching
+    }
+
+    const session = summarize(file.file, logs);
+    const started = session.timestamp ? Date.parse(session.timestamp) : null;
+
+    if (since !== null && (started === null || started < since)) continue;
+    if (until !== null && (started === null || started >= until)) continue;
+    if (cwd && (!session.cwd || !isInside(session.cwd, path.resolve(cwd)))) continue;
+    if (exitCode !== undefined && exitCode !== null && session.code !== Number(exitCode)) continue;
+    if (failed !== undefined && failed !== null && session.failed !== failed) continue;
+    if (command && ![session.command, ...session.args].join(' ').toLowerCase().includes(command.toLowerCase())) {
+      continue;
+    }
+    if (template && session.template !== template) continue;
+
+    if (text) {
+      session.matches = 0;
+      session.snippets = [];
+
+      for (const [source, content] of searchableText(session, logs)) {
+        const found = findMatches(source, content, text, maxSnippets - session.snippets.length);
+        session.matches += found.count;
+        session.snippets.push(...found.snippets);
+      }
+
+      if (session.matches === 0) continue;
+    }
+
+    results.push(session);
+  }
+
+  return results;
+}
+
+module.exports = {
+  parseTime,
+  searchSessions
+};
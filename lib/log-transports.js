@@ -0,0 +1,287 @@
+/**
+ * Log transports: where session log entries are sent
+ *
+ * A transport is an object with `write(entry, line)`, and optionally
+ * `flush()`. `line` is the entry serialized as one line of JSON. Both may
+ * return promises; a rejected write is reported by the Logger and never
+ * fails the run.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { promisify } = require('util');
+
+const appendFile = promisify(fs.appendFile);
+
+// JSONL file; appends that queue up while one is in flight are written together
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.file = options.file;
+    this.queue = [];
+    this.writing = null;
+  }
+
+  write(entry, line) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ line, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    if (this.writing || this.queue.length === 0) return;
+
+    const batch = this.queue.splice(0);
+    this.writing = appendFile(this.file, batch.map(item => item.line).join(''))
+      .then(
+        () => batch.forEach(item => item.resolve()),
+        (error) => batch.forEach(item => item.reject(error))
+      )
+      .finally(() => {
+        this.writing = null;
+        this.drain();
+      });
+  }
+
+  async flush() {
+    while (this.writing) {
+      await this.writing;
+    }
+  }
+}
+
+// Newline-delimited JSON on a writable stream; waits for 'drain' when the stream is full
+class StreamTransport {
+  constructor(options = {}) {
+    const { stream = 'stdout' } = options;
+    this.name = typeof stream === 'string' ? stream : 'stream';
+    this.stream = stream === 'stdout' ? process.stdout : stream === 'stderr' ? process.stderr : stream;
+    this.ready = Promise.resolve();
+  }
+
+  write(entry, line) {
+    const write = this.ready.then(() => {
+      if (!this.stream.write(line)) {
+        return new Promise(resolve => this.stream.once('drain', resolve));
+      }
+    });
+    this.ready = write.catch(() => {});
+    return write;
+  }
+
+  flush() {
+    return this.ready;
+  }
+}
+
+// Batches entries and POSTs them to a log collector
+class HttpTransport {
+  constructor(options = {}) {
+    const {
+      url,
+      method = 'POST',
+      headers = {},
+      format = 'json',
+      batchSize = 50,
+      flushInterval = 1000,
+      maxQueue = 5000,
+      timeout = 10000,
+      retries = 2,
+      onError
+    } = options;
+
+    if (!url) {
+      throw new TypeError('http transport requires a url');
+    }
+
+    this.name = 'http';
+    this.url = new URL(url);
+    this.method = method;
+    this.headers = headers;
+    this.format = format;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxQueue = maxQueue;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.onError = onError || (() => {});
+    this.queue = [];
+    this.sending = null;
+    this.timer = null;
+    this.dropped = 0;
+  }
+
+  write(entry) {
+    // A collector that can't keep up loses the oldest entries, not the run
+    if (this.queue.length >= this.maxQueue) {
+      this.queue.shift();
+      this.dropped++;
+    }
+    this.queue.push(entry);
+
+    if (this.queue.length >= this.batchSize) {
+      this.send();
+    } else {
+      this.schedule();
+    }
+  }
+
+  schedule() {
+    if (this.timer || this.sending) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.send();
+    }, this.flushInterval);
+    this.timer.unref();
+  }
+
+  send() {
+    if (this.sending || this.queue.length === 0) return this.sending;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const batch = this.queue.splice(0, this.batchSize);
+    this.sending = this.postWithRetries(batch)
+      .catch((error) => {
+        this.dropped += batch.length;
+        this.onError(error);
+      })
+      .finally(() => {
+        this.sending = null;
+        if (this.queue.length >= this.batchSize) {
+          this.send();
+        } else if (this.queue.length > 0) {
+          this.schedule();
+        }
+      });
+
+    return this.sending;
+  }
+
+  async postWithRetries(batch) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.post(batch);
+      } catch (error) {
+        if (attempt >= this.retries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+      }
+    }
+  }
+
+  post(batch) {
+    const body = this.format === 'ndjson'
+      ? batch.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+      : JSON.stringify(batch);
+    const client = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(this.url, {
+        method: this.method,
+        headers: {
+          'Content-Type': this.format === 'ndjson' ? 'application/x-ndjson' : 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...this.headers
+        },
+        timeout: this.timeout
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`Log collector responded with HTTP ${response.statusCode}`));
+          }
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Log collector timed out after ${this.timeout}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  async flush() {
+    while (this.sending || this.queue.length > 0) {
+      await (this.sending || this.send());
+    }
+  }
+}
+
+function isCustomTransport(spec) {
+  return spec && typeof spec === 'object' && typeof spec.write === 'function';
+}
+
+/**
+ * Whether the transports include the JSONL file (the only one `viewLog` can read)
+ * @param {Array} specs - Transport specs
+ * @returns {boolean}
+ */
+function hasFileTransport(specs) {
+  return specs.some(spec => spec === 'file' || (spec && spec.type === 'file'));
+}
+
+/**
+ * Build transports from specs: 'file', 'stdout', 'stderr', an http(s) URL,
+ * `{ type, ...options }`, or a custom transport object
+ * @param {Array} specs - Transport specs
+ * @param {Object} context - `{ logFile, onError(error, transport) }`
+ * @returns {Object[]} Transports
+ */
+function createTransports(specs, context = {}) {
+  return specs.map((spec) => {
+    if (isCustomTransport(spec)) {
+      if (!spec.name) spec.name = 'custom';
+      return spec;
+    }
+
+    const options = typeof spec === 'string'
+      ? (/^https?:\/\//.test(spec) ? { type: 'http', url: spec } : { type: spec })
+      : spec;
+
+    switch (options.type) {
+      case 'file':
+        return new FileTransport({ ...options, file: context.logFile });
+      case 'stdout':
+      case 'stderr':
+        return new StreamTransport({ ...options, stream: options.type });
+      case 'stream':
+        return new StreamTransport(options);
+      case 'http': {
+        const transport = new HttpTransport({
+          ...options,
+          onError: error => context.onError && context.onError(error, transport)
+        });
+        return transport;
+      }
+      default:
+        throw new TypeError(`Unknown log transport: ${options.type}`);
+    }
+  });
+}
+
+/**
+ * Transport specs the detached runner can use: it has no console, and custom
+ * transports can't cross the process boundary
+ * @param {Array} specs - Transport specs
+ * @returns {Array} The file and http specs
+ */
+function serializableTransports(specs) {
+  return specs.filter((spec) => {
+    if (typeof spec === 'string') return spec === 'file' || /^https?:\/\//.test(spec);
+    return Boolean(spec) && !isCustomTransport(spec) && (spec.type === 'file' || spec.type === 'http');
+  });
+}
+
+module.exports = {
+  FileTransport,
+  StreamTransport,
+  HttpTransport,
+  hasFileTransport,
+  createTransports,
+  serializableTransports
+};
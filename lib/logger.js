@@ -1,11 +1,29 @@
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
 const { promisify } = require('util');
+const { parseSize, pruneLogs } = require('./log-retention');
+const { createTransports, hasFileTransport } = require('./log-transports');
 
 const mkdir = promisify(fs.mkdir);
-const appendFile = promisify(fs.appendFile);
 const readdir = promisify(fs.readdir);
 const readFile = promisify(fs.readFile);
+const gunzip = promisify(zlib.gunzip);
+const access = promisify(fs.access);
+
+const OUTPUT_TYPES = ['stdout', 'stderr'];
+
+// Longest unfinished line held back while redacting (see logOutput)
+const MAX_HELD_OUTPUT = 4096;
+
+// Runs started in the same millisecond (pools, schedules) still get their own session
+let lastSessionTime = 0;
+
+function createSessionId() {
+  lastSessionTime = Math.max(Date.now(), lastSessionTime + 1);
+  return `${lastSessionTime}-${process.pid}`;
+}
 
 class Logger {
   constructor(options = {}) {
@@ -13,80 +31,288 @@ class Logger {
     this.logLevel = options.logLevel || 'full';
     this.saveLog = options.saveLog !== false;
     this.logToConsole = options.logToConsole !== false;
-    this.sessionId = `${Date.now()}-${process.pid}`;
-    this.logFile = null;
-    this.startTime = Date.now();
+    this.sessionId = options.sessionId || createSessionId();
+    this.logFile = options.logFile || null;
+    this.startTime = options.startTime || Date.now();
+    this.maxLogSize = parseSize(options.maxLogSize);
+    this.retention = options.retention || null;
+    this.bytesWritten = options.bytesWritten || 0;
+    this.truncatedBytes = 0;
+    this.redactor = options.redactor || null;
+    this.heldOutput = { stdout: '', stderr: '' };
+    this.transportSpecs = options.transports || ['file'];
+    this.transports = null;
+    this.onTransportError = options.onTransportError || null;
+    this.parentSessionId = options.parentSessionId || null;
+    this.transportErrors = 0;
+    this.reportedTransports = new Set();
+    // A logger handed an existing session (the detached runner) writes straight away
+    this.initialized = Boolean(options.initialized || this.logFile);
   }
 
-  async initialize(command, args) {
+  /**
+   * Start the session with a `session_start` entry
+   * @param {string} command - Command being run
+   * @param {string[]} args - Its arguments
+   * @param {string} cwd - Its working directory
+   * @param {Object} options - Session options
+   * @param {boolean} options.detached - Another process (the detached runner) writes the rest of the session
+   */
+  async initialize(command, args, cwd = process.cwd(), options = {}) {
     if (!this.saveLog) return;
 
-    const date = new Date().toISOString().split('T')[0];
-    const dateDir = path.join(this.logDir, date);
-    
-    await mkdir(dateDir, { recursive: true });
-    
-    this.logFile = path.join(dateDir, `session-${this.sessionId}.log`);
-    
+    // Only the file transport needs a dated directory
+    if (hasFileTransport(this.transportSpecs)) {
+      const date = new Date().toISOString().split('T')[0];
+      const dateDir = path.join(this.logDir, date);
+
+      await mkdir(dateDir, { recursive: true });
+
+      this.logFile = path.join(dateDir, `session-${this.sessionId}.log`);
+    }
+    this.initialized = true;
+
     await this.writeLog({
       type: 'session_start',
       sessionId: this.sessionId,
+      parentSessionId: this.parentSessionId || undefined,
       command,
       args,
-      cwd: process.cwd(),
+      cwd: path.resolve(cwd),
       timestamp: new Date().toISOString(),
       pid: process.pid,
+      detached: options.detached || undefined,
       nodeVersion: process.version
     });
+
+    if (this.retention && this.logFile) {
+      try {
+        await pruneLogs(this.logDir, { ...this.retention, exclude: [this.logFile] });
+      } catch (err) {
+        console.error('Log retention error:', err.message);
+      }
+    }
   }
 
   async writeLog(data) {
-    if (!this.saveLog || !this.logFile) return;
-    
-    const line = JSON.stringify({
+    if (!this.saveLog || !this.initialized) return;
+
+    // Entries that had secrets removed say which detectors matched
+    if (this.redactor) {
+      const { value, names } = this.redactor.redactValue(data);
+      data = names.length > 0 ? { ...value, redacted: names } : value;
+    }
+
+    const entry = {
       ...data,
       timestamp: data.timestamp || new Date().toISOString(),
       elapsed: Date.now() - this.startTime
-    }) + '\n';
-    
-    await appendFile(this.logFile, line);
+    };
+    const line = JSON.stringify(entry) + '\n';
+    const size = Buffer.byteLength(line);
+
+    // Past the size cap, output is dropped; a single `truncated` entry marks the cut
+    if (this.maxLogSize && OUTPUT_TYPES.includes(data.type) &&
+        this.bytesWritten + size > this.maxLogSize) {
+      const first = this.truncatedBytes === 0;
+      this.truncatedBytes += Buffer.byteLength(data.data || '');
+      if (first) {
+        await this.writeLog({ type: 'truncated', maxLogSize: this.maxLogSize });
+      }
+      return;
+    }
+    this.bytesWritten += size;
+
+    // Each transport keeps its own entries in order; none of them can fail the run
+    await Promise.all(this.getTransports().map(transport => {
+      try {
+        return Promise.resolve(transport.write(entry, line))
+          .catch(error => this.reportTransportError(error, transport));
+      } catch (error) {
+        this.reportTransportError(error, transport);
+      }
+    }));
   }
 
-  logStdout(data) {
-    const text = data.toString();
-    
-    if (this.logToConsole) {
-      process.stdout.write(`[stdout] ${text}`);
+  getTransports() {
+    if (!this.transports) {
+      this.transports = createTransports(this.transportSpecs, {
+        logFile: this.logFile,
+        onError: (error, transport) => this.reportTransportError(error, transport)
+      });
     }
-    
-    if (this.logLevel === 'full') {
-      this.writeLog({
-        type: 'stdout',
-        data: text
-      }).catch(err => console.error('Log write error:', err));
+    return this.transports;
+  }
+
+  // Warn once per transport unless the caller handles transport errors
+  reportTransportError(error, transport) {
+    this.transportErrors++;
+
+    if (this.onTransportError) {
+      try {
+        this.onTransportError(error, transport);
+      } catch (e) {
+        // Ignore errors from the handler itself
+      }
+      return;
+    }
+
+    if (!this.reportedTransports.has(transport)) {
+      this.reportedTransports.add(transport);
+      console.warn(`[Claude Spawn] Log transport "${transport.name}" failed: ${error.message} (further errors are not shown)`);
     }
   }
 
+  async flush() {
+    this.flushOutput();
+    if (!this.transports) return;
+
+    await Promise.all(this.transports.map(async (transport) => {
+      if (typeof transport.flush !== 'function') return;
+      try {
+        await transport.flush();
+      } catch (error) {
+        this.reportTransportError(error, transport);
+      }
+    }));
+  }
+
+  logStdout(data) {
+    this.logOutput('stdout', data);
+  }
+
   logStderr(data) {
-    const text = data.toString();
-    
+    this.logOutput('stderr', data);
+  }
+
+  logOutput(type, data) {
+    let text = data.toString();
+
+    // Hold back an unfinished line so a secret split across chunks is still recognized
+    if (this.redactor) {
+      text = this.heldOutput[type] + text;
+      const end = text.lastIndexOf('\n') + 1;
+      const rest = text.slice(end);
+
+      if (rest.length <= MAX_HELD_OUTPUT) {
+        this.heldOutput[type] = rest;
+        text = text.slice(0, end);
+      } else {
+        this.heldOutput[type] = '';
+      }
+      if (!text) return;
+    }
+
+    this.writeOutput(type, text);
+  }
+
+  writeOutput(type, text) {
     if (this.logToConsole) {
-      process.stderr.write(`[stderr] ${text}`);
+      const stream = type === 'stdout' ? process.stdout : process.stderr;
+      stream.write(`[${type}] ${this.redactor ? this.redactor.redact(text) : text}`);
     }
-    
+
     if (this.logLevel === 'full') {
       this.writeLog({
-        type: 'stderr',
+        type,
         data: text
-      }).catch(err => console.error('Log write error:', err));
+      });
+    }
+  }
+
+  // Write output held back by logOutput
+  flushOutput() {
+    for (const type of OUTPUT_TYPES) {
+      if (this.heldOutput[type]) {
+        this.writeOutput(type, this.heldOutput[type]);
+        this.heldOutput[type] = '';
+      }
     }
   }
 
   async logExit(code, signal) {
+    this.flushOutput();
     await this.writeLog({
       type: 'session_end',
       code,
       signal,
+      duration: Date.now() - this.startTime,
+      truncatedBytes: this.truncatedBytes || undefined
+    });
+    // Batching transports send what they hold once the session is over
+    await this.flush();
+  }
+
+  async logPrompt(prompt, via, template) {
+    await this.writeLog({
+      type: 'prompt',
+      via,
+      length: prompt.length,
+      text: this.logLevel === 'full' ? prompt : undefined,
+      template
+    });
+  }
+
+  async logOptions(options) {
+    await this.writeLog({
+      type: 'claude_options',
+      options
+    });
+  }
+
+  async logClaudeSession(claudeSessionId) {
+    await this.writeLog({
+      type: 'claude_session',
+      claudeSessionId
+    });
+  }
+
+  async logAttempt(attempt) {
+    await this.writeLog({
+      type: 'attempt',
+      ...attempt
+    });
+  }
+
+  async logWorkflow(workflow) {
+    await this.writeLog({
+      type: 'workflow',
+      ...workflow
+    });
+  }
+
+  async logWorkflowStep(step) {
+    await this.writeLog({
+      type: 'workflow_step',
+      ...step
+    });
+  }
+
+  async logChanges(changes) {
+    // Diffs carry file contents, so like prompt text they are only kept at 'full'
+    const files = list => list.map(file => (this.logLevel === 'full' ? file : { ...file, diff: undefined }));
+    await this.writeLog({
+      type: 'changes',
+      created: files(changes.created),
+      modified: files(changes.modified),
+      deleted: files(changes.deleted),
+      incomplete: changes.incomplete || undefined
+    });
+  }
+
+  async logAborted(reason) {
+    await this.writeLog({
+      type: 'aborted',
+      reason: describeReason(reason),
+      duration: Date.now() - this.startTime
+    });
+  }
+
+  async logTerminated(reason, details = {}) {
+    await this.writeLog({
+      type: 'terminated',
+      reason,
+      ...details,
       duration: Date.now() - this.startTime
     });
   }
@@ -111,7 +337,7 @@ class Logger {
         const files = await readdir(dateDir);
         
         for (const file of files.sort().reverse()) {
-          if (file.endsWith('.log')) {
+          if (file.endsWith('.log') || file.endsWith('.log.gz')) {
             const logPath = path.join(dateDir, file);
             const firstLine = await readFirstLine(logPath);
             
@@ -148,32 +374,112 @@ class Logger {
   }
 
   static async viewLog(sessionId, logDir) {
-    const logsPath = logDir || path.join(process.cwd(), 'claude-spawn-logs');
-    const sessions = await Logger.getRecentSessions(logsPath, 100);
-    
-    const session = sessions.find(s => s.sessionId === sessionId);
-    if (!session) {
+    const logFile = await Logger.findSessionFile(sessionId, logDir);
+    if (!logFile) {
       throw new Error(`Session ${sessionId} not found`);
     }
-    
-    const content = await readFile(session.logFile, 'utf8');
-    const lines = content.trim().split('\n');
+
+    return Logger.readLogFile(logFile);
+  }
+
+  /**
+   * Locate the log file of a session, however old it is
+   * @param {string} sessionId - Session ID
+   * @param {string} logDir - Log directory
+   * @returns {Promise<string|null>} Path to the `.log` or `.log.gz` file
+   */
+  static async findSessionFile(sessionId, logDir) {
+    const logsPath = logDir || path.join(process.cwd(), 'claude-spawn-logs');
+    if (!sessionId || /[\\/]/.test(sessionId)) return null;
+
+    const names = [`session-${sessionId}.log`, `session-${sessionId}.log.gz`];
+    const findIn = async (dates) => {
+      for (const date of dates) {
+        for (const name of names) {
+          const candidate = path.join(logsPath, date, name);
+          if (await exists(candidate)) return candidate;
+        }
+      }
+      return null;
+    };
+
+    // Generated IDs start with the creation time, which names the date
+    // directory (or the next one, for sessions started around midnight)
+    const created = /^\d+-/.test(sessionId) ? new Date(parseInt(sessionId, 10)) : null;
+    if (created && !isNaN(created)) {
+      const day = 24 * 60 * 60 * 1000;
+      const found = await findIn([created, new Date(created.getTime() + day)]
+        .map(date => date.toISOString().split('T')[0]));
+      if (found) return found;
+    }
+
+    try {
+      return await findIn((await readdir(logsPath)).sort().reverse());
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Read the entries of a session log file, compressed or not
+   * @param {string} logFile - Path to the log; falls back to `<logFile>.gz` once it has been compressed
+   * @returns {Promise<Object[]>} Parsed log entries
+   */
+  static async readLogFile(logFile) {
+    const content = await readLogContent(logFile);
     const logs = [];
-    
-    for (const line of lines) {
+
+    for (const line of content.trim().split('\n')) {
       try {
         logs.push(JSON.parse(line));
       } catch (e) {
         // Skip invalid lines
       }
     }
-    
+
     return logs;
   }
+
+  static async findClaudeSessionId(sessionId, logDir) {
+    const logs = await Logger.viewLog(sessionId, logDir);
+    const entry = logs.find(log => log.type === 'claude_session');
+    return entry ? entry.claudeSessionId : null;
+  }
+}
+
+function describeReason(reason) {
+  if (reason === undefined || reason === null) return null;
+  if (reason instanceof Error) return reason.message;
+  return String(reason);
+}
+
+async function exists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function readLogContent(logFile) {
+  if (logFile.endsWith('.gz')) {
+    return (await gunzip(await readFile(logFile))).toString('utf8');
+  }
+
+  try {
+    return await readFile(logFile, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return (await gunzip(await readFile(`${logFile}.gz`))).toString('utf8');
+  }
 }
 
 async function readFirstLine(filePath) {
-  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const stream = filePath.endsWith('.gz')
+    ? pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {}).setEncoding('utf8')
+    : fs.createReadStream(filePath, { encoding: 'utf8' });
   
   return new Promise((resolve, reject) => {
     let firstLine = '';
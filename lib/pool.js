@@ -0,0 +1,192 @@
+/**
+ * Concurrency-limited job queue for Claude and command runs
+ */
+
+const EventEmitter = require('events');
+const { AbortError } = require('./errors');
+
+class TaskPool extends EventEmitter {
+  constructor(options = {}, runners = {}) {
+    super();
+
+    const { concurrency = 2, maxQueue = Infinity } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be a positive integer');
+    }
+
+    this.concurrency = concurrency;
+    this.maxQueue = maxQueue;
+    this.runners = runners;
+    this.queue = [];
+    this.running = new Map();
+    this.nextId = 1;
+    this.counts = { completed: 0, failed: 0, cancelled: 0 };
+  }
+
+  /**
+   * Queue a job
+   * @param {Function} fn - Job function, called with `{ signal }` and returning a promise
+   * @param {Object} options - Job options
+   * @param {number} options.priority - Higher priorities start first (default: 0)
+   * @param {string} options.name - Label reported in events
+   * @param {AbortSignal} options.signal - Cancel the job while queued or running
+   * @returns {Promise<*>} Resolves with the job result, or rejects with its error (a promise that is
+   *   not kept never counts as an unhandled rejection); has a `jobId` property
+   */
+  add(fn, options = {}) {
+    const { priority = 0, name, signal } = options;
+    const job = { id: this.nextId++, name, priority, fn, signal };
+
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    promise.jobId = job.id;
+    // Jobs are often queued without keeping their promise, relying on the
+    // `failed` event or onIdle(); their failures are not unhandled rejections
+    promise.catch(() => {});
+
+    if (signal && signal.aborted) {
+      job.reject(new AbortError(undefined, { reason: signal.reason }));
+      return promise;
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      job.reject(new Error(`Pool queue is full (maxQueue: ${this.maxQueue})`));
+      return promise;
+    }
+
+    // Keep the queue ordered by priority, first-in first-out within a priority
+    const index = this.queue.findIndex(queued => queued.priority < priority);
+    this.queue.splice(index === -1 ? this.queue.length : index, 0, job);
+
+    if (signal) {
+      job.onAbort = () => this.cancel(job.id, signal.reason);
+      signal.addEventListener('abort', job.onAbort, { once: true });
+    }
+
+    this.emit('queued', describeJob(job));
+    this.drain();
+    return promise;
+  }
+
+  /**
+   * Queue a runClaude call
+   * @param {string} prompt - The prompt to send to Claude
+   * @param {Object} options - runClaude options plus `priority`
+   * @returns {Promise<Object>} Resolves with the runClaude result
+   */
+  run(prompt, options = {}) {
+    const { priority, signal, ...runOptions } = options;
+    return this.add(
+      (job) => this.runners.runClaude(prompt, { ...runOptions, signal: job.signal }),
+      { priority, signal, name: prompt }
+    );
+  }
+
+  /**
+   * Queue a runCommand call
+   * @param {string} command - Command to run
+   * @param {string[]} args - Command arguments
+   * @param {Object} options - runCommand options plus `priority`
+   * @returns {Promise<Object>} Resolves with the runCommand result
+   */
+  runCommand(command, args = [], options = {}) {
+    const { priority, signal, ...runOptions } = options;
+    return this.add(
+      async (job) => this.runners.runCommand(command, args, { ...runOptions, signal: job.signal }),
+      { priority, signal, name: [command, ...args].join(' ') }
+    );
+  }
+
+  /**
+   * Cancel a queued job; running jobs are cancelled through their AbortSignal.
+   * The job's promise rejects with an AbortError.
+   * @param {number} id - Job ID
+   * @param {*} reason - Abort reason
+   * @returns {boolean} True if the job was removed from the queue
+   */
+  cancel(id, reason) {
+    const index = this.queue.findIndex(job => job.id === id);
+    if (index === -1) return false;
+
+    const [job] = this.queue.splice(index, 1);
+    if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+
+    this.counts.cancelled++;
+    job.reject(new AbortError('Job was cancelled before it started', { reason }));
+    this.emit('cancelled', describeJob(job));
+    this.checkIdle();
+    return true;
+  }
+
+  /**
+   * Cancel every queued job
+   * @returns {number} Number of cancelled jobs
+   */
+  clear() {
+    const ids = this.queue.map(job => job.id);
+    ids.forEach(id => this.cancel(id));
+    return ids.length;
+  }
+
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      queued: this.queue.length,
+      ...this.counts
+    };
+  }
+
+  /**
+   * Wait until nothing is queued or running
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.running.size === 0 && this.queue.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.once('idle', resolve));
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      this.start(this.queue.shift());
+    }
+  }
+
+  async start(job) {
+    if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+
+    this.running.set(job.id, job);
+    this.emit('started', describeJob(job));
+
+    try {
+      const result = await job.fn({ id: job.id, signal: job.signal });
+      this.counts.completed++;
+      this.emit('completed', describeJob(job), result);
+      job.resolve(result);
+    } catch (error) {
+      this.counts.failed++;
+      this.emit('failed', describeJob(job), error);
+      job.reject(error);
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+      this.checkIdle();
+    }
+  }
+
+  checkIdle() {
+    if (this.running.size === 0 && this.queue.length === 0) {
+      this.emit('idle');
+    }
+  }
+}
+
+function describeJob(job) {
+  return { id: job.id, name: job.name, priority: job.priority };
+}
+
+module.exports = TaskPool;
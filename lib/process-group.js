@@ -0,0 +1,94 @@
+/**
+ * Process group helpers for terminating a child together with its descendants
+ *
+ * Children that lead their own process group no longer receive the signals
+ * the terminal sends to ours (Ctrl-C, hangup), so while any of them are
+ * running those signals are forwarded to their groups.
+ */
+
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+const SUPPORTED = process.platform !== 'win32';
+
+const groups = new Set();
+const handlers = new Map();
+
+function signalGroups(signal) {
+  for (const pid of groups) {
+    try {
+      process.kill(-pid, signal);
+    } catch (error) {
+      // Group already gone
+    }
+  }
+}
+
+function forwardSignal(signal) {
+  signalGroups(signal);
+
+  // Keep the default behaviour (exit) unless the application handles the signal itself
+  if (process.listenerCount(signal) === 1) {
+    release();
+    process.kill(process.pid, signal);
+  }
+}
+
+function onExit() {
+  signalGroups('SIGTERM');
+}
+
+function install() {
+  for (const signal of FORWARDED_SIGNALS) {
+    const handler = () => forwardSignal(signal);
+    handlers.set(signal, handler);
+    process.on(signal, handler);
+  }
+  process.on('exit', onExit);
+}
+
+function release() {
+  for (const [signal, handler] of handlers) {
+    process.removeListener(signal, handler);
+  }
+  handlers.clear();
+  process.removeListener('exit', onExit);
+}
+
+/**
+ * Track a foreground child that leads its own process group
+ * @param {number} pid - Process id of the group leader
+ */
+function trackGroup(pid) {
+  if (groups.size === 0) install();
+  groups.add(pid);
+}
+
+function untrackGroup(pid) {
+  groups.delete(pid);
+  if (groups.size === 0) release();
+}
+
+/**
+ * Send a signal to a child, or to its whole process group
+ * @param {ChildProcess} child - The child process
+ * @param {string} signal - Signal name
+ * @param {boolean} group - Signal the process group the child leads
+ * @returns {boolean} True if the signal was delivered
+ */
+function signalProcess(child, signal, group) {
+  if (group && SUPPORTED && child.pid) {
+    try {
+      process.kill(-child.pid, signal);
+      return true;
+    } catch (error) {
+      // Group already gone; fall back to the child itself
+    }
+  }
+  return child.kill(signal);
+}
+
+module.exports = {
+  SUPPORTED,
+  trackGroup,
+  untrackGroup,
+  signalProcess
+};
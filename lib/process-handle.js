@@ -0,0 +1,78 @@
+const EventEmitter = require('events');
+
+/**
+ * Handle for a process started by runCommand.
+ *
+ * Emits `spawn`, `stdout`, `stderr`, `exit` and `error` events and can be
+ * awaited directly, so existing `await runCommand(...)` callers keep working.
+ */
+class ProcessHandle extends EventEmitter {
+  constructor(result, sessionId = null) {
+    super();
+    this.result = result;
+    this.sessionId = sessionId;
+    this.child = null;
+    this.terminate = null;
+    this.pendingSignal = null;
+    this.killRequested = false;
+
+    // Callers that only listen to events should not see unhandled rejections;
+    // awaiting the handle or `.result` still surfaces the error.
+    this.result.catch(() => {});
+  }
+
+  get pid() {
+    return this.child ? this.child.pid : undefined;
+  }
+
+  get killed() {
+    return this.killRequested || Boolean(this.child && this.child.killed);
+  }
+
+  /**
+   * Take control of the spawned process
+   * @param {ChildProcess} child - The process
+   * @param {Function} terminate - Stops the run like a timeout or abort does (process group,
+   *   SIGKILL escalation, `terminated` log entry); called with the signal, returns a boolean
+   */
+  attach(child, terminate) {
+    this.child = child;
+    this.terminate = terminate;
+
+    if (this.pendingSignal) {
+      terminate(this.pendingSignal);
+    }
+  }
+
+  kill(signal = 'SIGTERM') {
+    this.killRequested = true;
+    if (!this.child) {
+      // Not spawned yet (log initialization is still running)
+      this.pendingSignal = signal;
+      return true;
+    }
+    return this.terminate(signal);
+  }
+
+  emitError(error) {
+    // EventEmitter throws on unhandled 'error' events; the result promise
+    // already reports the failure, so only emit when someone listens.
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.result.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.result.catch(onRejected);
+  }
+
+  finally(onFinally) {
+    return this.result.finally(onFinally);
+  }
+}
+
+module.exports = ProcessHandle;
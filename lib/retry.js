@@ -0,0 +1,167 @@
+/**
+ * Retry with exponential backoff for transient Claude failures
+ */
+
+const {
+  AbortError,
+  CommandFailedError,
+  RateLimitError,
+  OverloadedError,
+  CreditBalanceError,
+  AuthenticationError,
+  describeFailure
+} = require('./errors');
+
+const DEFAULT_RETRY = {
+  maxAttempts: 1,
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true
+};
+
+// Stderr or result errors of failures that are worth another attempt: API overload and
+// rate limits, 5xx responses and network errors
+const TRANSIENT_PATTERN = new RegExp([
+  'overloaded',
+  'rate[ _-]?limit',
+  'too many requests',
+  '\\b(429|500|502|503|504|529)\\b',
+  'internal server error',
+  'service unavailable',
+  'bad gateway',
+  'gateway timeout',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'socket hang up',
+  'network error',
+  'fetch failed'
+].join('|'), 'i');
+
+/**
+ * Default predicate deciding whether a failure is retryable
+ * @param {Error} error - Failure from a run
+ * @returns {boolean} True for rate limits, overload and network errors
+ */
+function isTransientError(error) {
+  if (error instanceof RateLimitError || error instanceof OverloadedError) return true;
+  if (error instanceof CreditBalanceError || error instanceof AuthenticationError) return false;
+  if (!(error instanceof CommandFailedError)) return false;
+
+  return TRANSIENT_PATTERN.test(describeFailure(error));
+}
+
+/**
+ * Normalize the `retry` option
+ * @param {number|Object} retry - Number of retries, or retry settings
+ * @returns {Object} Settings with maxAttempts, minDelay, maxDelay, factor, jitter and shouldRetry
+ */
+function normalizeRetryOptions(retry) {
+  if (!retry) {
+    return { ...DEFAULT_RETRY, shouldRetry: isTransientError };
+  }
+
+  const settings = typeof retry === 'number'
+    ? { maxAttempts: retry + 1 }
+    : retry;
+
+  const normalized = {
+    ...DEFAULT_RETRY,
+    maxAttempts: 3,
+    ...settings,
+    shouldRetry: settings.shouldRetry || isTransientError
+  };
+
+  if (!Number.isInteger(normalized.maxAttempts) || normalized.maxAttempts < 1) {
+    throw new Error('retry.maxAttempts must be a positive integer');
+  }
+  return normalized;
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} options - Retry settings
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, options = DEFAULT_RETRY) {
+  const { minDelay, maxDelay, factor, jitter } = { ...DEFAULT_RETRY, ...options };
+  const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+
+  // Jitter keeps parallel runs from retrying in lockstep
+  return jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError(undefined, { reason: signal.reason }));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError(undefined, { reason: signal.reason }));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Call `fn` until it succeeds, the failure is not retryable, or attempts run out
+ * @param {Function} fn - Called with the attempt number; returns a promise
+ * @param {Object} options - Retry settings from normalizeRetryOptions
+ * @param {AbortSignal} options.signal - Stop waiting between attempts
+ * @param {Function} options.onAttempt - Called after every attempt with its outcome
+ * @returns {Promise<Object>} `{ result, attempts }`; rejections carry `error.attempts`
+ */
+async function retry(fn, options = {}) {
+  const settings = normalizeRetryOptions(options);
+  const { maxAttempts, shouldRetry } = settings;
+  const { signal, onAttempt } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      if (onAttempt) await onAttempt({ attempt, maxAttempts, success: true });
+      return { result, attempts: attempt };
+    } catch (error) {
+      const retryable = attempt < maxAttempts && shouldRetry(error, attempt);
+      const retryInMs = retryable ? getRetryDelay(attempt, settings) : null;
+
+      if (onAttempt) {
+        await onAttempt({
+          attempt,
+          maxAttempts,
+          success: false,
+          error: error.message,
+          errorType: error.name,
+          code: error.code === undefined ? null : error.code,
+          retryInMs
+        });
+      }
+
+      if (!retryable) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      await sleep(retryInMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  isTransientError,
+  normalizeRetryOptions,
+  getRetryDelay,
+  retry
+};
@@ -0,0 +1,441 @@
+/**
+ * Recurring Claude runs on cron schedules.
+ * Each schedule is stored as `<stateDir>/schedules/<id>.json`, together with
+ * the state of its last run, so a restarted scheduler knows what it missed.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const TaskPool = require('./pool');
+const { parseCron, nextCronRun } = require('./cron');
+const { getStateDir, isProcessAlive } = require('./task-registry');
+
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+
+const OVERLAP_POLICIES = ['skip', 'queue'];
+
+function getSchedulesDir(stateDir) {
+  return path.join(getStateDir(stateDir), 'schedules');
+}
+
+async function saveJob(job, stateDir) {
+  const dir = getSchedulesDir(stateDir);
+  await mkdir(dir, { recursive: true });
+
+  // Write to a temp file first so readers never see a partial record
+  const file = path.join(dir, `${job.id}.json`);
+  const tmpFile = `${file}.${process.pid}-${crypto.randomBytes(3).toString('hex')}.tmp`;
+  await writeFile(tmpFile, JSON.stringify(job, null, 2));
+  await rename(tmpFile, file);
+
+  return job;
+}
+
+async function readJob(id, stateDir) {
+  try {
+    return JSON.parse(await readFile(path.join(getSchedulesDir(stateDir), `${id}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function readJobs(stateDir) {
+  let files;
+  try {
+    files = await readdir(getSchedulesDir(stateDir));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const jobs = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    const job = await readJob(path.basename(file, '.json'), stateDir).catch(() => null);
+    if (job) jobs.push(job);
+  }
+  return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function describeJob(job) {
+  return { id: job.id, name: job.name, cron: job.cron, prompt: job.prompt, cwd: job.cwd };
+}
+
+// Slots of a schedule between its last handled slot and now
+function findDueSlots(job, now) {
+  const cron = parseCron(job.cron);
+  const first = nextCronRun(cron, new Date(job.lastScheduledAt || job.createdAt));
+  if (!first || first > now) return null;
+
+  let latest = first;
+  let count = 1;
+  for (;;) {
+    const next = nextCronRun(cron, latest);
+    if (!next || next > now) break;
+    latest = next;
+    count++;
+  }
+  return { latest, count };
+}
+
+class Scheduler extends EventEmitter {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {string} options.stateDir - Where schedules are stored (default: ~/.claude-spawn)
+   * @param {number} options.interval - How often due schedules are checked, in milliseconds (default: 30000)
+   * @param {number} options.concurrency - Runs at once across all schedules (default: 2)
+   * @param {number} options.grace - A slot older than this is missed rather than due (default: 60000)
+   * @param {Object} options.defaults - runClaude options for every run; schedule options win
+   * @param {Function} options.now - Clock, returning a Date (for tests)
+   * @param {Object} runners - `{ runClaude }`
+   */
+  constructor(options = {}, runners = {}) {
+    super();
+
+    const { stateDir, interval = 30000, concurrency = 2, grace = 60000, defaults = {}, now } = options;
+    this.stateDir = stateDir;
+    this.interval = interval;
+    this.grace = grace;
+    this.defaults = defaults;
+    this.now = now || (() => new Date());
+    this.runners = runners;
+    this.pool = new TaskPool({ concurrency });
+    this.controller = new AbortController();
+    this.active = new Map();
+    this.updates = new Map();
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  /**
+   * Add a schedule
+   * @param {Object} job - Schedule definition
+   * @param {string} job.cron - Cron expression (see lib/cron.js)
+   * @param {string} job.prompt - Prompt; may be left out when `options.template` is set
+   * @param {string} job.cwd - Working directory (default: process.cwd())
+   * @param {string} job.name - Label shown in listings
+   * @param {Object} job.options - runClaude options for each run
+   * @param {string} job.overlap - 'skip' (default) drops a run that is due while the previous one is
+   *   still going; 'queue' starts it when the previous one finishes
+   * @param {boolean} job.catchUp - After downtime, run once for the slots that were missed (default: true)
+   * @returns {Promise<Object>} The stored schedule with `nextRunAt`
+   */
+  async add(job) {
+    const { cron, prompt, cwd, name, options = {}, overlap = 'skip', catchUp = true } = job;
+    parseCron(cron);
+
+    const hasPrompt = typeof prompt === 'string' && prompt.trim() !== '';
+    if (!hasPrompt && !options.template) {
+      throw new TypeError('A schedule needs a prompt or a template');
+    }
+    if (!OVERLAP_POLICIES.includes(overlap)) {
+      throw new TypeError(`Unknown overlap policy "${overlap}" (expected ${OVERLAP_POLICIES.join(' or ')})`);
+    }
+
+    const stored = await saveJob({
+      id: crypto.randomBytes(4).toString('hex'),
+      name: name || null,
+      cron,
+      prompt: hasPrompt ? prompt : null,
+      cwd: path.resolve(cwd || process.cwd()),
+      options,
+      overlap,
+      catchUp: Boolean(catchUp),
+      createdAt: this.now().toISOString(),
+      lastScheduledAt: null,
+      lastRun: null,
+      lastSkipped: null,
+      running: null
+    }, this.stateDir);
+    return this.withNextRun(stored);
+  }
+
+  /**
+   * Remove a schedule; a run that already started is left to finish
+   * @param {string} id - Schedule ID
+   * @returns {Promise<boolean>} False if there was no such schedule
+   */
+  async remove(id) {
+    try {
+      await unlink(path.join(getSchedulesDir(this.stateDir), `${id}.json`));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  /**
+   * Get a schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} The schedule with `nextRunAt`, or null if it does not exist
+   */
+  async get(id) {
+    const job = await readJob(id, this.stateDir);
+    return job ? this.withNextRun(job) : null;
+  }
+
+  /**
+   * All schedules, oldest first
+   * @returns {Promise<Object[]>} Schedules with `nextRunAt`
+   */
+  async list() {
+    return (await readJobs(this.stateDir)).map(job => this.withNextRun(job));
+  }
+
+  emitError(error) {
+    // These errors come from timers, where an unhandled 'error' event would
+    // crash the process; without a listener they are printed instead.
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(`[Claude Spawn] Scheduler error: ${error.message}`);
+    }
+  }
+
+  withNextRun(job) {
+    const next = nextCronRun(job.cron, new Date(job.lastScheduledAt || job.createdAt));
+    const running = job.running && isProcessAlive(job.running.pid) ? job.running : null;
+    return { ...job, running, nextRunAt: next ? next.toISOString() : null };
+  }
+
+  /**
+   * Check for due schedules every `interval` until stopped. Only one scheduler
+   * may run per state directory.
+   * @returns {Promise<Scheduler>}
+   */
+  async start() {
+    if (this.timer) return this;
+
+    await this.acquireLock();
+    await this.recoverInterrupted();
+    if (this.controller.signal.aborted) {
+      this.controller = new AbortController();
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => this.emitError(error));
+    }, this.interval);
+    await this.tick();
+    return this;
+  }
+
+  /**
+   * Stop checking for due schedules and wait for the runs in progress
+   * @param {Object} options - Stop options
+   * @param {boolean} options.abort - Abort running runs instead of waiting for them
+   * @returns {Promise<void>}
+   */
+  async stop(options = {}) {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.ticking;
+
+    // Queued follow-up runs are dropped; their slots stay recorded as handled
+    for (const entry of this.active.values()) {
+      entry.pending = null;
+    }
+    this.pool.clear();
+    if (options.abort) {
+      this.controller.abort(new Error('Scheduler stopped'));
+    }
+
+    await this.pool.onIdle();
+    await this.releaseLock();
+  }
+
+  /**
+   * Wait until no run is in progress or queued
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    return this.pool.onIdle();
+  }
+
+  /**
+   * Start the runs that are due now
+   * @returns {Promise<Object[]>} `{ job, scheduledAt, action }` for every due schedule, where action is
+   *   'started', 'queued', 'skipped' or 'missed'
+   */
+  async tick() {
+    // A slow check must not run twice for the same slot
+    if (this.ticking) return this.ticking;
+
+    this.ticking = this.checkDue().finally(() => {
+      this.ticking = null;
+    });
+    return this.ticking;
+  }
+
+  async checkDue() {
+    const now = this.now();
+    const handled = [];
+
+    for (const job of await readJobs(this.stateDir)) {
+      let slots;
+      try {
+        slots = findDueSlots(job, now);
+      } catch (error) {
+        // An invalid schedule must not stop the others
+        this.emitError(new Error(`Schedule ${job.id}: ${error.message}`));
+        continue;
+      }
+      if (!slots) continue;
+
+      const scheduledAt = slots.latest.toISOString();
+      const late = now - slots.latest > this.grace;
+      const updated = await this.updateJob(job.id, { lastScheduledAt: scheduledAt });
+      if (!updated) continue;
+
+      if (late && !job.catchUp) {
+        await this.skip(updated, scheduledAt, 'missed', slots.count);
+        handled.push({ job: describeJob(job), scheduledAt, action: 'missed' });
+        continue;
+      }
+
+      const action = await this.dispatch(updated, { scheduledAt, catchUp: late, missed: late ? slots.count : 0 });
+      handled.push({ job: describeJob(job), scheduledAt, action });
+    }
+
+    return handled;
+  }
+
+  async dispatch(job, slot) {
+    const entry = this.active.get(job.id);
+    if (entry) {
+      if (job.overlap === 'queue') {
+        // At most one run waits; later slots fold into it
+        entry.pending = slot;
+        this.emit('queued', describeJob(job), slot);
+        return 'queued';
+      }
+      await this.skip(job, slot.scheduledAt, 'overlap');
+      return 'skipped';
+    }
+
+    this.active.set(job.id, { pending: null });
+    this.pool.add(() => this.execute(job, slot), { name: job.id }).catch((error) => {
+      this.active.delete(job.id);
+      // Runs cancelled by stop() before they started are not errors
+      if (error.name !== 'AbortError') this.emitError(error);
+    });
+    return 'started';
+  }
+
+  async execute(job, slot) {
+    const startedAt = new Date();
+    await this.updateJob(job.id, {
+      running: { pid: process.pid, scheduledAt: slot.scheduledAt, startedAt: startedAt.toISOString() }
+    });
+    this.emit('run', describeJob(job), slot);
+
+    const { logDir = path.join(job.cwd, 'claude-spawn-logs'), ...defaults } = { ...this.defaults, ...job.options };
+    let lastRun;
+    try {
+      const result = await this.runners.runClaude(job.prompt, {
+        ...defaults,
+        cwd: job.cwd,
+        logDir,
+        saveLog: true,
+        logging: false,
+        fireAndForget: false,
+        signal: this.controller.signal
+      });
+      lastRun = { status: 'succeeded', sessionId: result.sessionId || null, logFile: result.logFile || null };
+    } catch (error) {
+      lastRun = { status: 'failed', sessionId: error.sessionId || null, error: error.message };
+    }
+
+    lastRun = {
+      ...lastRun,
+      scheduledAt: slot.scheduledAt,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      catchUp: slot.catchUp || undefined,
+      missed: slot.missed || undefined
+    };
+    await this.updateJob(job.id, { running: null, lastRun });
+    this.emit(lastRun.status, describeJob(job), lastRun);
+
+    const { pending } = this.active.get(job.id);
+    this.active.delete(job.id);
+    if (pending) {
+      const current = await readJob(job.id, this.stateDir);
+      if (current) await this.dispatch(current, pending);
+    }
+    return lastRun;
+  }
+
+  async skip(job, scheduledAt, reason, missed) {
+    const lastSkipped = { scheduledAt, reason, missed, at: this.now().toISOString() };
+    await this.updateJob(job.id, { lastSkipped });
+    this.emit('skipped', describeJob(job), lastSkipped);
+  }
+
+  // Merge fields into a stored schedule; a removed schedule stays removed.
+  // Updates to one schedule are applied in order so none of them is lost.
+  updateJob(id, patch) {
+    const previous = this.updates.get(id) || Promise.resolve();
+    const update = previous.catch(() => {}).then(async () => {
+      const job = await readJob(id, this.stateDir);
+      return job ? saveJob({ ...job, ...patch }, this.stateDir) : null;
+    });
+    this.updates.set(id, update);
+    return update;
+  }
+
+  // Runs that were in progress when a previous scheduler died
+  async recoverInterrupted() {
+    for (const job of await readJobs(this.stateDir)) {
+      if (job.running && !this.active.has(job.id)) {
+        await this.updateJob(job.id, {
+          running: null,
+          lastRun: { status: 'interrupted', scheduledAt: job.running.scheduledAt, startedAt: job.running.startedAt }
+        });
+      }
+    }
+  }
+
+  get lockFile() {
+    return path.join(getStateDir(this.stateDir), 'scheduler.pid');
+  }
+
+  async acquireLock() {
+    await mkdir(getStateDir(this.stateDir), { recursive: true });
+
+    try {
+      await writeFile(this.lockFile, String(process.pid), { flag: 'wx' });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+
+      const pid = parseInt(await readFile(this.lockFile, 'utf8'), 10);
+      if (isProcessAlive(pid)) {
+        throw new Error(`Another scheduler is already running (pid ${pid})`);
+      }
+      // Left behind by a scheduler that did not shut down cleanly
+      await writeFile(this.lockFile, String(process.pid));
+    }
+  }
+
+  async releaseLock() {
+    try {
+      if (parseInt(await readFile(this.lockFile, 'utf8'), 10) === process.pid) {
+        await unlink(this.lockFile);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+module.exports = Scheduler;
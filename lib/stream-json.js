@@ -0,0 +1,109 @@
+/**
+ * Parser for Claude CLI `--output-format stream-json` output.
+ * Splits stdout chunks into lines and turns each line into an event.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+class StreamJsonParser {
+  constructor(options = {}) {
+    this.onEvent = options.onEvent;
+    this.onText = options.onText;
+    this.onToolUse = options.onToolUse;
+    this.onToolResult = options.onToolResult;
+    this.onResult = options.onResult;
+    this.events = [];
+    this.result = null;
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  push(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      this.parseLine(line);
+    }
+  }
+
+  end() {
+    this.buffer += this.decoder.end();
+    if (this.buffer) {
+      this.parseLine(this.buffer);
+      this.buffer = '';
+    }
+    return this.events;
+  }
+
+  parseLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    let event;
+    try {
+      event = JSON.parse(trimmed);
+    } catch (e) {
+      // Claude may print non-JSON warnings; skip them
+      return;
+    }
+
+    this.events.push(event);
+    this.emit(event);
+  }
+
+  emit(event) {
+    if (this.onEvent) this.onEvent(event);
+
+    switch (event.type) {
+      case 'assistant':
+        for (const block of getContent(event)) {
+          if (block.type === 'text' && this.onText) {
+            this.onText(block.text, event);
+          } else if (block.type === 'tool_use' && this.onToolUse) {
+            this.onToolUse({ id: block.id, name: block.name, input: block.input }, event);
+          }
+        }
+        break;
+
+      case 'user':
+        for (const block of getContent(event)) {
+          if (block.type === 'tool_result' && this.onToolResult) {
+            this.onToolResult({
+              toolUseId: block.tool_use_id,
+              content: block.content,
+              isError: block.is_error === true
+            }, event);
+          }
+        }
+        break;
+
+      case 'result':
+        this.result = event;
+        if (this.onResult) this.onResult(event);
+        break;
+    }
+  }
+}
+
+function getContent(event) {
+  const content = event.message && event.message.content;
+  return Array.isArray(content) ? content : [];
+}
+
+/**
+ * Parse a complete stream-json transcript into a list of events
+ * @param {string} text - Raw stdout captured from Claude
+ * @returns {Object[]} Parsed events
+ */
+function parseStreamJson(text) {
+  const parser = new StreamJsonParser();
+  parser.push(text);
+  return parser.end();
+}
+
+module.exports = {
+  StreamJsonParser,
+  parseStreamJson
+};
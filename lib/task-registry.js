@@ -0,0 +1,317 @@
+/**
+ * Persistent registry of fire-and-forget tasks.
+ * Each task is stored as `<stateDir>/tasks/<id>.json`; the detached runner
+ * writes `<id>.exit` when the task ends.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const Logger = require('./logger');
+
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+
+function getStateDir(stateDir) {
+  return stateDir ||
+    process.env.CLAUDE_SPAWN_STATE_DIR ||
+    path.join(os.homedir(), '.claude-spawn');
+}
+
+function getTasksDir(stateDir) {
+  return path.join(getStateDir(stateDir), 'tasks');
+}
+
+function isProcessAlive(pid) {
+  if (!pid) return false;
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM means the process exists but belongs to someone else
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * When a process started, to tell it apart from a later process that reused
+ * its PID. Read from /proc, so only available on Linux.
+ * @param {number} pid - Process ID
+ * @returns {string|null} Start time in clock ticks since boot, or null if unknown
+ */
+function getProcessStartTime(pid) {
+  if (!pid) return null;
+
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // The command name in parentheses may contain spaces; starttime is field 22
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// The task's own process is alive, not another one that reused its PID
+function isTaskProcessAlive(task) {
+  if (!isProcessAlive(task.pid)) return false;
+  if (!task.processStartTime) return true;
+
+  const startTime = getProcessStartTime(task.pid);
+  return startTime === null || startTime === task.processStartTime;
+}
+
+function createTaskId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * File the detached runner records a task's exit in
+ * @param {string} id - Task ID
+ * @param {string} stateDir - State directory
+ * @returns {string} Path of the exit file
+ */
+function getExitFile(id, stateDir) {
+  return path.join(getTasksDir(stateDir), `${id}.exit`);
+}
+
+async function readExitFile(id, stateDir) {
+  try {
+    return JSON.parse(await readFile(getExitFile(id, stateDir), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function getTaskStatus(task) {
+  if (!task.finishedAt && isTaskProcessAlive(task)) return 'running';
+  if (task.killedAt) return 'killed';
+  if (task.finishedAt) return task.exitCode === 0 ? 'finished' : 'failed';
+  return 'orphaned';
+}
+
+// The detached runner appends session_end to the log when the task exits,
+// even if the process that started it is long gone
+async function readSessionEnd(logFile) {
+  let logs;
+  try {
+    // The session may have been compressed by log retention since
+    logs = await Logger.readLogFile(logFile);
+  } catch (err) {
+    return null;
+  }
+
+  for (let i = logs.length - 1; i >= 0; i--) {
+    if (logs[i].type === 'session_end') return logs[i];
+  }
+  return null;
+}
+
+async function withStatus(task, stateDir) {
+  // A recorded exit is final even if the PID is alive again: it may have been
+  // reused by an unrelated process
+  if (!task.finishedAt) {
+    const exit = await readExitFile(task.id, stateDir);
+    const sessionEnd = !exit && task.logFile ? await readSessionEnd(task.logFile) : null;
+    if (exit) {
+      task = { ...task, exitCode: exit.code, exitSignal: exit.signal, finishedAt: exit.finishedAt };
+    } else if (sessionEnd) {
+      task = {
+        ...task,
+        exitCode: sessionEnd.code,
+        exitSignal: sessionEnd.signal,
+        finishedAt: sessionEnd.timestamp
+      };
+    }
+  }
+
+  return { ...task, status: getTaskStatus(task) };
+}
+
+async function saveTask(task, stateDir) {
+  const tasksDir = getTasksDir(stateDir);
+  await mkdir(tasksDir, { recursive: true });
+
+  // Write to a temp file first so readers never see a partial record
+  const file = path.join(tasksDir, `${task.id}.json`);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await writeFile(tmpFile, JSON.stringify(task, null, 2));
+  await rename(tmpFile, file);
+
+  return task;
+}
+
+async function readTask(id, stateDir) {
+  try {
+    const content = await readFile(path.join(getTasksDir(stateDir), `${id}.json`), 'utf8');
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Record a newly started background task
+ * @param {Object} info - Task details (pid, prompt, cwd, sessionId, logFile, command, args), and
+ *   optionally the id chosen with createTaskId
+ * @param {string} stateDir - State directory (default: ~/.claude-spawn)
+ * @returns {Promise<Object>} The stored task record
+ */
+async function registerTask(info, stateDir) {
+  const task = {
+    id: info.id || createTaskId(),
+    pid: info.pid,
+    prompt: info.prompt,
+    cwd: info.cwd,
+    command: info.command,
+    args: info.args,
+    sessionId: info.sessionId || null,
+    logFile: info.logFile || null,
+    processStartTime: getProcessStartTime(info.pid),
+    startedAt: new Date().toISOString()
+  };
+
+  return saveTask(task, stateDir);
+}
+
+/**
+ * Merge fields into a stored task record
+ * @param {string} id - Task ID
+ * @param {Object} patch - Fields to update
+ * @param {string} stateDir - State directory
+ * @returns {Promise<Object|null>} Updated task, or null if it does not exist
+ */
+async function updateTask(id, patch, stateDir) {
+  const task = await readTask(id, stateDir);
+  if (!task) return null;
+
+  return saveTask({ ...task, ...patch }, stateDir);
+}
+
+/**
+ * List all registered tasks, newest first, with their current status
+ * @param {Object} options - Options
+ * @param {string} options.stateDir - State directory
+ * @param {string} options.status - Only return tasks with this status
+ * @returns {Promise<Object[]>} Tasks
+ */
+async function listTasks(options = {}) {
+  const { stateDir, status } = options;
+  let files;
+
+  try {
+    files = await readdir(getTasksDir(stateDir));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const tasks = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+
+    const task = await readTask(path.basename(file, '.json'), stateDir).catch(() => null);
+    if (task) {
+      tasks.push(await withStatus(task, stateDir));
+    }
+  }
+
+  tasks.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  return status ? tasks.filter(task => task.status === status) : tasks;
+}
+
+/**
+ * Get a registered task with its current status
+ * @param {string} id - Task ID
+ * @param {Object} options - Options
+ * @param {string} options.stateDir - State directory
+ * @returns {Promise<Object|null>} Task, or null if it does not exist
+ */
+async function getTask(id, options = {}) {
+  const task = await readTask(id, options.stateDir);
+  return task ? withStatus(task, options.stateDir) : null;
+}
+
+/**
+ * Terminate a running task and its process group
+ * @param {string} id - Task ID
+ * @param {Object} options - Options
+ * @param {string} options.signal - Signal to send (default: 'SIGTERM')
+ * @param {string} options.stateDir - State directory
+ * @returns {Promise<Object>} Updated task
+ */
+async function killTask(id, options = {}) {
+  const { signal = 'SIGTERM', stateDir } = options;
+  const task = await getTask(id, { stateDir });
+
+  if (!task) {
+    throw new Error(`Task ${id} not found`);
+  }
+  if (task.status !== 'running') {
+    return task;
+  }
+
+  try {
+    // Background tasks are spawned detached, so they lead their own group
+    process.kill(-task.pid, signal);
+  } catch (err) {
+    try {
+      process.kill(task.pid, signal);
+    } catch (killErr) {
+      // It exited since the status check
+      if (killErr.code !== 'ESRCH') throw killErr;
+      return getTask(id, { stateDir });
+    }
+  }
+
+  const updated = await updateTask(id, { killedAt: new Date().toISOString(), killSignal: signal }, stateDir);
+  return withStatus(updated, stateDir);
+}
+
+/**
+ * Wait until a task is no longer running
+ * @param {string} id - Task ID
+ * @param {Object} options - Options
+ * @param {number} options.interval - Poll interval in milliseconds (default: 1000)
+ * @param {number} options.timeout - Give up after this many milliseconds
+ * @param {string} options.stateDir - State directory
+ * @returns {Promise<Object>} Task in its final state
+ */
+async function waitForTask(id, options = {}) {
+  const { interval = 1000, timeout = null, stateDir } = options;
+  const startTime = Date.now();
+
+  while (true) {
+    const task = await getTask(id, { stateDir });
+    if (!task) {
+      throw new Error(`Task ${id} not found`);
+    }
+    if (task.status !== 'running') {
+      return task;
+    }
+    if (timeout && Date.now() - startTime >= timeout) {
+      throw new Error(`Timed out waiting for task ${id}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = {
+  getStateDir,
+  isProcessAlive,
+  createTaskId,
+  getExitFile,
+  registerTask,
+  updateTask,
+  listTasks,
+  getTask,
+  killTask,
+  waitForTask
+};
@@ -0,0 +1,483 @@
+/**
+ * Prompt templates
+ *
+ *   {{name}}                           Variable; rendering fails when it is not set
+ *   {{name | fallback}}                Variable with a default
+ *   {{#if name}}...{{else}}...{{/if}}  Also `{{#if name == "value"}}` and `!=`
+ *   {{#unless name}}...{{/unless}}
+ *   {{@include path}}                  Contents of a file under cwd
+ *   {{@glob pattern}}                  Every matching file under cwd, each in a fenced block
+ *   {{! comment }}
+ *
+ * Directive paths can use variables as `${name}`. Block tags on a line of their
+ * own leave no blank line behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { TemplateError } = require('./errors');
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+
+const DEFAULT_LIMITS = {
+  maxFileSize: 100 * 1024,
+  maxTotalSize: 1024 * 1024,
+  maxFiles: 50
+};
+
+// Never worth inlining, and slow to walk
+const SKIPPED_DIRS = ['.git', 'node_modules'];
+
+// `(?!})` lets a directive end in `${name}}}`
+const TAG = /\{\{([\s\S]*?)\}\}(?!\})/g;
+const NAME = '[A-Za-z_][\\w.-]*';
+
+function unquote(text) {
+  const match = text.match(/^(["'])([\s\S]*)\1$/);
+  return match ? match[2] : text;
+}
+
+function isBlockTag(body) {
+  return /^[#/!]/.test(body) || body === 'else';
+}
+
+function parseCondition(text, fail) {
+  const match = text.match(new RegExp(`^(${NAME})\\s*(?:(==|!=)\\s*(.+))?$`));
+  if (!match) fail(`Invalid condition "${text}"`);
+  return { name: match[1], operator: match[2] || null, value: match[3] !== undefined ? unquote(match[3].trim()) : null };
+}
+
+/**
+ * Parse template source into a tree of text, variable, block and directive nodes
+ * @param {string} source - Template text
+ * @param {string} name - Template name for error messages
+ * @returns {Object} Root node
+ */
+function parseTemplate(source, name = 'inline template') {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.elseChildren || node.children;
+  };
+  const lineAt = index => source.slice(0, index).split('\n').length;
+
+  let last = 0;
+  let match;
+  TAG.lastIndex = 0;
+
+  while ((match = TAG.exec(source))) {
+    const body = match[1].trim();
+    const line = lineAt(match.index);
+    const fail = (message) => {
+      throw new TemplateError(`${message} in ${name} at line ${line}`, { template: name });
+    };
+
+    let textEnd = match.index;
+    let next = TAG.lastIndex;
+
+    // A block tag alone on its line takes the whole line with it
+    if (isBlockTag(body)) {
+      const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+      const lineEnd = source.indexOf('\n', TAG.lastIndex);
+      const before = source.slice(lineStart, match.index);
+      const after = source.slice(TAG.lastIndex, lineEnd === -1 ? source.length : lineEnd);
+      if (lineStart >= last && !before.trim() && !after.trim()) {
+        textEnd = lineStart;
+        next = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    if (textEnd > last) {
+      target().push({ type: 'text', text: source.slice(last, textEnd) });
+    }
+
+    const block = body.match(/^#(if|unless)\s+([\s\S]+)$/);
+    const close = body.match(/^\/(if|unless)$/);
+    const directive = body.match(/^@(\w+)\s+([\s\S]+)$/);
+    const variable = body.match(new RegExp(`^(${NAME})\\s*(?:\\|\\s*([\\s\\S]*))?$`));
+    const current = stack[stack.length - 1];
+
+    if (body.startsWith('!')) {
+      // Comment
+    } else if (block) {
+      const node = {
+        type: 'if',
+        keyword: block[1],
+        negate: block[1] === 'unless',
+        condition: parseCondition(block[2].trim(), fail),
+        children: [],
+        elseChildren: null,
+        line
+      };
+      target().push(node);
+      stack.push(node);
+    } else if (body === 'else') {
+      if (current.type !== 'if' || current.elseChildren) fail('Unexpected {{else}}');
+      current.elseChildren = [];
+    } else if (close) {
+      if (current.type !== 'if' || current.keyword !== close[1]) fail(`Unexpected {{/${close[1]}}}`);
+      stack.pop();
+    } else if (directive) {
+      if (!['include', 'glob'].includes(directive[1])) fail(`Unknown directive @${directive[1]}`);
+      target().push({ type: 'directive', directive: directive[1], arg: unquote(directive[2].trim()), line });
+    } else if (variable) {
+      target().push({
+        type: 'var',
+        name: variable[1],
+        fallback: variable[2] !== undefined ? unquote(variable[2].trim()) : undefined,
+        line
+      });
+    } else {
+      fail(`Invalid tag {{${body}}}`);
+    }
+
+    last = next;
+    TAG.lastIndex = next;
+  }
+
+  if (last < source.length) {
+    target().push({ type: 'text', text: source.slice(last) });
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${open.keyword}}} in ${name} at line ${open.line}`, { template: name });
+  }
+
+  return root;
+}
+
+// Variables can be nested objects: {{pkg.name}}
+function lookup(vars, name) {
+  return name.split('.').reduce((value, key) => (
+    value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(Object(value), key)
+      ? value[key]
+      : undefined
+  ), vars);
+}
+
+// Values from the command line are strings, so 'false' and '0' are false too
+function isTruthy(value) {
+  if (typeof value === 'string') return value !== '' && value !== 'false' && value !== '0';
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function evaluate(condition, vars) {
+  const value = lookup(vars, condition.name);
+  if (!condition.operator) return isTruthy(value);
+
+  const equal = value !== undefined && value !== null && String(value) === condition.value;
+  return condition.operator === '==' ? equal : !equal;
+}
+
+/**
+ * Evaluate a condition in template syntax: `name`, `name == "value"` or `name != "value"`
+ * @param {string} text - Condition
+ * @param {Object} vars - Variable values; dotted names look into nested objects
+ * @returns {boolean}
+ * @throws {TemplateError} When the condition is not valid
+ */
+function evaluateCondition(text, vars = {}) {
+  const condition = parseCondition(text.trim(), (message) => {
+    throw new TemplateError(message, { template: null });
+  });
+  return evaluate(condition, vars);
+}
+
+function fence(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}\n${text.replace(/\n$/, '')}\n${marks}`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a glob into a regular expression over `/`-separated relative paths.
+ * Supports `*`, `?`, `**` and `{a,b}`.
+ * @param {string} pattern - Glob
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:[^/]*/)*';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+      const end = pattern.indexOf('}', i);
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(root, dir, files) {
+  let entries;
+  try {
+    entries = await readdir(path.join(root, dir), { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return files;
+    throw err;
+  }
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relative = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.includes(entry.name)) await walk(root, relative, files);
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Files under cwd matching a glob, sorted
+ * @param {string} cwd - Directory the pattern is relative to
+ * @param {string} pattern - Glob such as `src/**\/*.js`
+ * @returns {Promise<string[]>} Relative paths with `/` separators
+ */
+async function globFiles(cwd, pattern) {
+  // Only walk below the part of the pattern without wildcards
+  const segments = pattern.split('/');
+  const literal = [];
+  while (segments.length > 1 && !/[*?{]/.test(segments[0])) {
+    literal.push(segments.shift());
+  }
+
+  const regexp = globToRegExp(pattern);
+  const files = await walk(cwd, literal.join('/'), []);
+  return files.filter(file => regexp.test(file));
+}
+
+// Keep includes inside the directory Claude runs in
+function resolveInside(cwd, relative, fail) {
+  const file = path.resolve(cwd, relative);
+  const fromCwd = path.relative(cwd, file);
+  if (fromCwd.startsWith('..') || path.isAbsolute(fromCwd)) {
+    fail(`"${relative}" is outside ${cwd}`);
+  }
+  return file;
+}
+
+async function readIncluded(file, context, fail, { skipBinary = false } = {}) {
+  const relative = path.relative(context.cwd, file).split(path.sep).join('/');
+
+  let info;
+  try {
+    info = await stat(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') fail(`Included file "${relative}" does not exist`);
+    throw err;
+  }
+
+  if (info.size > context.limits.maxFileSize) {
+    fail(`Included file "${relative}" is ${info.size} bytes, over the maxFileSize limit of ${context.limits.maxFileSize}`);
+  }
+
+  const content = await readFile(file, 'utf8');
+  if (content.includes('\u0000')) {
+    if (skipBinary) return null;
+    fail(`Included file "${relative}" is binary`);
+  }
+
+  if (context.totalSize + info.size > context.limits.maxTotalSize) {
+    fail(`Included files exceed the maxTotalSize limit of ${context.limits.maxTotalSize} bytes at "${relative}"`);
+  }
+  context.totalSize += info.size;
+  context.includes.push({ path: relative, size: info.size });
+
+  return { relative, content };
+}
+
+async function runDirective(node, context) {
+  const fail = (message) => {
+    throw new TemplateError(`${message} ({{@${node.directive}}} in ${context.name} at line ${node.line})`, {
+      template: context.name
+    });
+  };
+
+  const arg = node.arg.replace(new RegExp(`\\$\\{(${NAME})\\}`, 'g'), (placeholder, name) => {
+    const value = lookup(context.vars, name);
+    if (value === undefined || value === null) {
+      context.missing.add(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+  if (context.missing.size > 0) return '';
+
+  if (node.directive === 'include') {
+    const { content } = await readIncluded(resolveInside(context.cwd, arg, fail), context, fail);
+    return content;
+  }
+
+  if (path.isAbsolute(arg) || arg.split('/').includes('..')) {
+    fail(`Glob "${arg}" must stay inside ${context.cwd}`);
+  }
+
+  const files = await globFiles(context.cwd, arg);
+  if (files.length > context.limits.maxFiles) {
+    fail(`Glob "${arg}" matches ${files.length} files, over the maxFiles limit of ${context.limits.maxFiles}`);
+  }
+
+  const blocks = [];
+  for (const file of files) {
+    const included = await readIncluded(path.join(context.cwd, file), context, fail, { skipBinary: true });
+    if (included) {
+      blocks.push(`${included.relative}\n${fence(included.content)}`);
+    }
+  }
+  return blocks.join('\n\n');
+}
+
+async function renderNodes(nodes, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.text;
+        break;
+
+      case 'var': {
+        const value = lookup(context.vars, node.name);
+        if (value === undefined || value === null) {
+          if (node.fallback !== undefined) {
+            output += node.fallback;
+          } else {
+            context.missing.add(node.name);
+          }
+        } else {
+          output += context.escape(typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value));
+        }
+        break;
+      }
+
+      case 'if': {
+        const passed = evaluate(node.condition, context.vars) !== node.negate;
+        output += await renderNodes(passed ? node.children : (node.elseChildren || []), context);
+        break;
+      }
+
+      case 'directive':
+        output += context.escape(await runDirective(node, context));
+        break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render template source
+ * @param {string} source - Template text
+ * @param {Object} options - Render options
+ * @param {Object} options.vars - Variable values
+ * @param {string} options.cwd - Directory that includes and globs read from (default: process.cwd())
+ * @param {string} options.name - Template name for error messages
+ * @param {Function} options.escape - Applied to each variable value and included text, e.g. to quote it for a shell
+ * @param {number} options.maxFileSize - Largest file an include may inline, in bytes (default: 100 KB)
+ * @param {number} options.maxTotalSize - Limit for all included files together, in bytes (default: 1 MB)
+ * @param {number} options.maxFiles - Most files a single glob may inline (default: 50)
+ * @returns {Promise<Object>} `{ prompt, includes }`, where includes lists the inlined files and their sizes
+ * @throws {TemplateError} On syntax errors, missing variables and include limits
+ */
+async function renderTemplate(source, options = {}) {
+  const { vars = {}, cwd = process.cwd(), name = 'inline template', escape = text => text } = options;
+  const context = {
+    name,
+    vars,
+    escape,
+    cwd: path.resolve(cwd),
+    limits: {
+      maxFileSize: options.maxFileSize || DEFAULT_LIMITS.maxFileSize,
+      maxTotalSize: options.maxTotalSize || DEFAULT_LIMITS.maxTotalSize,
+      maxFiles: options.maxFiles || DEFAULT_LIMITS.maxFiles
+    },
+    missing: new Set(),
+    includes: [],
+    totalSize: 0
+  };
+
+  const prompt = await renderNodes(parseTemplate(source, name).children, context);
+
+  if (context.missing.size > 0) {
+    const missing = [...context.missing];
+    throw new TemplateError(`Missing variables in ${name}: ${missing.join(', ')}`, {
+      template: name,
+      missing
+    });
+  }
+
+  return { prompt, includes: context.includes };
+}
+
+/**
+ * Find a template by path or by name in the template directory
+ * @param {string} template - File path, or a name such as `review` for `<templateDir>/review.md`
+ * @param {Object} options - Lookup options
+ * @param {string} options.cwd - Working directory of the run
+ * @param {string} options.templateDir - Directory of named templates (default: `<cwd>/.claude-spawn/templates`)
+ * @returns {Promise<Object>} `{ name, file, source }`
+ */
+async function loadTemplate(template, options = {}) {
+  const { cwd = process.cwd() } = options;
+  const templateDir = options.templateDir || path.join(cwd, '.claude-spawn', 'templates');
+  const candidates = [...new Set([
+    path.resolve(template),
+    path.resolve(cwd, template),
+    path.resolve(templateDir, template),
+    path.resolve(templateDir, `${template}.md`)
+  ])];
+
+  for (const file of candidates) {
+    try {
+      if ((await stat(file)).isFile()) {
+        return {
+          name: path.basename(file, path.extname(file)),
+          file,
+          source: await readFile(file, 'utf8')
+        };
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+    }
+  }
+
+  throw new TemplateError(`Template "${template}" not found (looked in ${candidates.join(', ')})`, { template });
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  globToRegExp,
+  globFiles,
+  parseTemplate,
+  evaluateCondition,
+  renderTemplate,
+  loadTemplate
+};
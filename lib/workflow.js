@@ -0,0 +1,402 @@
+/**
+ * Workflows: Claude and shell steps with dependencies and conditions, where
+ * later steps can use the output of earlier ones. Defined in JSON or YAML.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const Logger = require('./logger');
+const TaskPool = require('./pool');
+const { AbortError } = require('./errors');
+const { parseYaml } = require('./yaml');
+const { applyConfig } = require('./config');
+const { createRedactor } = require('./redact');
+const { renderTemplate, evaluateCondition } = require('./template');
+
+const readFile = promisify(fs.readFile);
+
+// Step fields that are not runClaude / runCommand options
+const STEP_FIELDS = ['id', 'name', 'needs', 'if', 'prompt', 'run', 'command', 'args', 'cwd', 'continueOnError', 'options'];
+
+// Workflow settings that shell steps share with Claude steps
+const SHELL_OPTIONS = [
+  'logging', 'saveLog', 'logDir', 'logLevel', 'maxLogSize', 'logRetention', 'redact', 'logTransports', 'onLogError',
+  'timeout', 'idleTimeout', 'env'
+];
+
+const SHELL = process.platform === 'win32' ? ['cmd.exe', '/d', '/s', '/c'] : ['/bin/sh', '-c'];
+
+// Values rendered into a `run` command are quoted so they stay one argument.
+// cmd.exe still expands %VAR% inside quotes; use the STEP_* variables there.
+function shellQuote(text) {
+  if (process.platform === 'win32') {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+// STEP_<ID>_OUTPUT, _STATUS and _CODE for each finished step
+function stepEnvironment(steps) {
+  const env = {};
+  for (const [id, step] of Object.entries(steps)) {
+    const prefix = `STEP_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    env[`${prefix}_OUTPUT`] = step.output;
+    env[`${prefix}_STATUS`] = step.status;
+    env[`${prefix}_CODE`] = step.code === null || step.code === undefined ? '' : String(step.code);
+  }
+  return env;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+function pick(options, keys) {
+  return Object.fromEntries(keys.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+}
+
+// Fail on references to unknown steps and on dependency cycles
+function checkDependencies(steps) {
+  const byId = new Map(steps.map(step => [step.id, step]));
+  const state = new Map();
+
+  const visit = (step, trail) => {
+    if (state.get(step.id) === 'done') return;
+    if (state.get(step.id) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(step.id)), step.id];
+      throw new TypeError(`Steps depend on each other in a cycle: ${cycle.join(' -> ')}`);
+    }
+
+    state.set(step.id, 'visiting');
+    for (const need of step.needs) {
+      if (!byId.has(need)) {
+        throw new TypeError(`Step "${step.id}" needs unknown step "${need}"`);
+      }
+      visit(byId.get(need), [...trail, step.id]);
+    }
+    state.set(step.id, 'done');
+  };
+
+  steps.forEach(step => visit(step, []));
+}
+
+/**
+ * Check a workflow definition and bring its steps into one shape
+ * @param {Object} definition - `{ name, cwd, vars, defaults, concurrency, steps }`
+ * @param {string} baseDir - Directory that a relative `cwd` is relative to
+ * @returns {Object} Workflow whose steps are `{ id, index, name, kind, needs, if, prompt, run,
+ *   command, args, cwd, continueOnError, options }`, with kind 'claude' or 'shell'
+ */
+function normalizeWorkflow(definition, baseDir = process.cwd()) {
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.steps)) {
+    throw new TypeError('A workflow must have a "steps" list');
+  }
+
+  const { name = 'workflow', vars = {}, defaults = {}, concurrency = 1 } = definition;
+  const cwd = path.resolve(baseDir, definition.cwd || '.');
+  const ids = new Set();
+
+  const steps = definition.steps.map((step, index) => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new TypeError(`Step ${index + 1} must be an object`);
+    }
+
+    const id = step.id !== undefined ? String(step.id) : `step-${index + 1}`;
+    if (ids.has(id)) {
+      throw new TypeError(`Duplicate step id "${id}"`);
+    }
+    ids.add(id);
+
+    // Unknown fields are options, as in batch manifests
+    const extra = Object.fromEntries(Object.entries(step).filter(([key]) => !STEP_FIELDS.includes(key)));
+    const options = { ...extra, ...step.options };
+
+    const isClaude = step.prompt !== undefined || Boolean(options.template);
+    const isShell = step.run !== undefined || step.command !== undefined;
+    if (isClaude === isShell) {
+      throw new TypeError(`Step "${id}" needs exactly one of prompt (or template), run or command`);
+    }
+
+    return {
+      id,
+      index,
+      name: step.name || id,
+      kind: isClaude ? 'claude' : 'shell',
+      needs: toList(step.needs),
+      if: step.if,
+      prompt: step.prompt !== undefined ? String(step.prompt) : null,
+      run: step.run !== undefined ? String(step.run) : null,
+      command: step.command !== undefined ? String(step.command) : null,
+      args: toList(step.args),
+      cwd: step.cwd ? path.resolve(cwd, step.cwd) : cwd,
+      continueOnError: Boolean(step.continueOnError),
+      options
+    };
+  });
+
+  checkDependencies(steps);
+
+  return { name: String(name), file: null, cwd, vars, defaults, concurrency, steps };
+}
+
+/**
+ * Read a workflow file (`.yml` / `.yaml` or `.json`)
+ * @param {string} file - Workflow path
+ * @returns {Promise<Object>} Normalized workflow, with `cwd` relative to the file
+ */
+async function loadWorkflow(file) {
+  const content = await readFile(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  const definition = extension === '.yml' || extension === '.yaml' ? parseYaml(content) : JSON.parse(content);
+
+  const workflow = normalizeWorkflow(definition, path.dirname(path.resolve(file)));
+  workflow.file = path.resolve(file);
+  return workflow;
+}
+
+function describeStep(step) {
+  return { id: step.id, name: step.name, kind: step.kind, cwd: step.cwd, continueOnError: step.continueOnError };
+}
+
+function outputOf(value) {
+  return typeof value === 'string' ? value.trimEnd() : '';
+}
+
+/**
+ * Run a workflow. Each step starts once the steps it `needs` have finished;
+ * it runs if they all succeeded (or failed with `continueOnError`) and its
+ * `if` condition holds, and is skipped otherwise.
+ *
+ * Prompts and `run` commands are templates (see lib/template.js) rendered with
+ * the workflow vars and `steps.<id>.output`, `.status` and `.code` of earlier steps.
+ * Values rendered into a `run` command are shell-quoted, and shell steps also get
+ * them as `STEP_<ID>_OUTPUT`, `STEP_<ID>_STATUS` and `STEP_<ID>_CODE` variables.
+ *
+ * @param {string|Object} workflow - Workflow file, or a definition (see normalizeWorkflow)
+ * @param {Object} options - Run options
+ * @param {Object} options.vars - Variables; override the workflow's `vars`
+ * @param {Object} options.defaults - runClaude options for every step; override the workflow's `defaults`
+ * @param {number} options.concurrency - Steps running at once (default: the workflow's, or 1)
+ * @param {string} options.cwd - Base directory for a definition passed as an object
+ * @param {AbortSignal} options.signal - Cancel the workflow
+ * @param {Function} options.onProgress - Called with `{ type, step, result, completed, total }` where
+ *   type is 'started', 'succeeded', 'failed', 'skipped' or 'cancelled'
+ * @param {Object} runners - `{ runClaude, runCommand }`
+ * @returns {Promise<Object>} `{ name, file, status, steps, succeeded, failed, skipped, cancelled,
+ *   sessionId, logFile, durationMs }`
+ */
+async function runWorkflow(workflow, options = {}, runners = {}) {
+  const { vars = {}, defaults = {}, signal, onProgress } = options;
+  const definition = typeof workflow === 'string'
+    ? await loadWorkflow(workflow)
+    : normalizeWorkflow(workflow, options.cwd);
+  const { steps } = definition;
+
+  // Options given to runWorkflow win over the file's defaults
+  const stepDefaults = { logging: false, ...definition.defaults, ...defaults };
+  const settings = applyConfig({ ...stepDefaults, cwd: definition.cwd });
+
+  // The parent session lists every step and links to the steps' own sessions
+  const logger = new Logger({
+    saveLog: Boolean(settings.saveLog),
+    logDir: settings.logDir,
+    logLevel: settings.logLevel,
+    logToConsole: false,
+    maxLogSize: settings.maxLogSize,
+    retention: settings.logRetention,
+    redactor: createRedactor(settings.redact),
+    transports: settings.logTransports,
+    onTransportError: settings.onLogError
+  });
+  const parentSessionId = settings.saveLog ? logger.sessionId : undefined;
+
+  await logger.initialize('workflow', [definition.file || definition.name], definition.cwd);
+  await logger.logWorkflow({
+    name: definition.name,
+    file: definition.file,
+    steps: steps.map(step => ({ id: step.id, kind: step.kind, needs: step.needs }))
+  });
+
+  const startTime = Date.now();
+  const byId = new Map(steps.map(step => [step.id, step]));
+  const context = { ...definition.vars, ...vars, steps: {} };
+  const results = new Map();
+  const running = new Map();
+  const counts = { succeeded: 0, failed: 0, skipped: 0, cancelled: 0 };
+  let completed = 0;
+
+  const report = (type, step, result) => {
+    if (onProgress) {
+      onProgress({ type, step: describeStep(step), result, completed, total: steps.length });
+    }
+  };
+
+  const finish = async (step, outcome) => {
+    const result = {
+      id: step.id,
+      name: step.name,
+      kind: step.kind,
+      status: outcome.status,
+      output: '',
+      code: null,
+      sessionId: null,
+      durationMs: 0,
+      ...outcome
+    };
+
+    results.set(step.id, result);
+    context.steps[step.id] = { status: result.status, output: result.output, code: result.code, sessionId: result.sessionId };
+    counts[result.status]++;
+    completed++;
+
+    await logger.logWorkflowStep({
+      id: result.id,
+      status: result.status,
+      reason: result.reason,
+      sessionId: result.sessionId,
+      code: result.code,
+      durationMs: result.durationMs,
+      error: result.error
+    });
+    report(result.status, step, result);
+    return result;
+  };
+
+  const render = async (text, step, what, escape) => {
+    const rendered = await renderTemplate(text, {
+      ...step.options.includeLimits,
+      vars: context,
+      cwd: step.cwd,
+      name: `${what} of step "${step.id}"`,
+      escape
+    });
+    return rendered.prompt;
+  };
+
+  const execute = async (step, jobSignal) => {
+    if (step.kind === 'claude') {
+      const claudeOptions = {
+        ...stepDefaults,
+        ...step.options,
+        cwd: step.cwd,
+        fireAndForget: false,
+        signal: jobSignal,
+        parentSessionId
+      };
+      if (step.prompt === null) {
+        return runners.runClaude(null, { ...claudeOptions, vars: { ...context, ...claudeOptions.vars } });
+      }
+      return runners.runClaude(await render(step.prompt, step, 'prompt'), claudeOptions);
+    }
+
+    const commandOptions = {
+      ...pick(settings, SHELL_OPTIONS),
+      ...step.options,
+      cwd: step.cwd,
+      signal: jobSignal,
+      parentSessionId
+    };
+    commandOptions.env = { ...(commandOptions.env || process.env), ...stepEnvironment(context.steps) };
+    if (step.run !== null) {
+      const command = await render(step.run, step, 'run', shellQuote);
+      return runners.runCommand(SHELL[0], [...SHELL.slice(1), command], commandOptions);
+    }
+    return runners.runCommand(step.command, step.args, commandOptions);
+  };
+
+  const pool = new TaskPool({ concurrency: options.concurrency || definition.concurrency || 1 }, runners);
+
+  const runStep = async (step) => {
+    const needed = await Promise.all(step.needs.map(need => start(byId.get(need))));
+
+    const blocked = needed.find(result => (
+      result.status !== 'succeeded' && !(result.status === 'failed' && byId.get(result.id).continueOnError)
+    ));
+    if (blocked) {
+      return finish(step, {
+        status: blocked.status === 'cancelled' ? 'cancelled' : 'skipped',
+        reason: `${blocked.id} ${blocked.status}`
+      });
+    }
+    if (signal && signal.aborted) {
+      return finish(step, { status: 'cancelled' });
+    }
+
+    let startedAt = null;
+    try {
+      if (step.if !== undefined && step.if !== null) {
+        const passed = typeof step.if === 'boolean' ? step.if : evaluateCondition(String(step.if), context);
+        if (!passed) {
+          return finish(step, { status: 'skipped', reason: `condition not met: ${step.if}` });
+        }
+      }
+
+      const output = await pool.add(async (job) => {
+        startedAt = Date.now();
+        report('started', step);
+        return execute(step, job.signal);
+      }, { name: step.id, signal });
+
+      return finish(step, {
+        status: 'succeeded',
+        output: outputOf(typeof output.result === 'string' ? output.result : output.stdout),
+        stderr: step.kind === 'shell' ? outputOf(output.stderr) : undefined,
+        code: output.code,
+        sessionId: output.sessionId || null,
+        claudeSessionId: output.claudeSessionId || undefined,
+        durationMs: Date.now() - startedAt
+      });
+    } catch (error) {
+      return finish(step, {
+        status: error instanceof AbortError ? 'cancelled' : 'failed',
+        output: outputOf(error.stdout),
+        stderr: outputOf(error.stderr) || undefined,
+        code: typeof error.code === 'number' ? error.code : null,
+        sessionId: error.sessionId || null,
+        durationMs: startedAt ? Date.now() - startedAt : 0,
+        error: error.message,
+        errorType: error.name
+      });
+    }
+  };
+
+  // Each step runs once, however many steps need it
+  const start = (step) => {
+    if (!running.has(step.id)) {
+      running.set(step.id, runStep(step));
+    }
+    return running.get(step.id);
+  };
+
+  let status;
+  try {
+    await Promise.all(steps.map(start));
+
+    const failed = steps.some(step => results.get(step.id).status === 'failed' && !step.continueOnError);
+    status = counts.cancelled > 0 ? 'cancelled' : failed ? 'failed' : 'succeeded';
+    await logger.logExit(status === 'succeeded' ? 0 : 1, null);
+  } catch (error) {
+    await logger.logError(error);
+    await logger.logExit(null, null);
+    throw error;
+  }
+
+  return {
+    name: definition.name,
+    file: definition.file,
+    status,
+    steps: steps.map(step => results.get(step.id)),
+    ...counts,
+    sessionId: parentSessionId || null,
+    logFile: logger.logFile,
+    durationMs: Date.now() - startTime
+  };
+}
+
+module.exports = {
+  loadWorkflow,
+  normalizeWorkflow,
+  runWorkflow
+};
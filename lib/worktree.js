@@ -0,0 +1,260 @@
+/**
+ * Git worktree isolation: each run gets its own worktree and branch, so
+ * parallel runs on one repository cannot overwrite each other and a bad run
+ * never touches the main working tree
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const taskRegistry = require('./task-registry');
+
+const execFileAsync = promisify(execFile);
+const realpath = promisify(fs.realpath);
+
+const BRANCH_PREFIX = 'claude-spawn/';
+// Worktrees are locked (`git worktree lock`) while a run uses them; the reason names its process
+const LOCK_REASON = /^claude-spawn pid (\d+)$/;
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+// Used for the snapshot commit when the repository has no identity configured
+const FALLBACK_IDENTITY = ['-c', 'user.name=claude-spawn', '-c', 'user.email=claude-spawn@localhost'];
+
+const FILE_STATUS = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'modified' };
+
+async function git(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: MAX_GIT_OUTPUT });
+    return stdout;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error('git is not installed or not on PATH');
+    }
+    const message = (err.stderr || err.message).toString().trim().split('\n')[0];
+    const command = args.find((arg, i) => !arg.startsWith('-') && args[i - 1] !== '-c');
+    throw new Error(`git ${command} failed: ${message}`);
+  }
+}
+
+/**
+ * Top-level directory of the repository containing a directory
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Promise<string>}
+ * @throws {Error} When cwd is not inside a git repository
+ */
+async function findRepoRoot(cwd) {
+  try {
+    return (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+  } catch (err) {
+    throw new Error(`Worktree isolation needs a git repository, and ${cwd} is not in one`);
+  }
+}
+
+/**
+ * Create a worktree on a new branch
+ * @param {string} cwd - Directory inside the repository; the run uses the same directory in the worktree
+ * @param {Object} options - Worktree options
+ * @param {string} options.branch - Branch name (default: `claude-spawn/<id>`)
+ * @param {string} options.base - Commit the branch starts from (default: HEAD)
+ * @param {string} options.dir - Worktree directory (default: a directory under the system temp directory)
+ * @returns {Promise<Object>} `{ root, path, cwd, branch, base }`
+ */
+async function createWorktree(cwd, options = {}) {
+  const { base = 'HEAD' } = options;
+  const root = await findRepoRoot(cwd);
+  const relative = path.relative(root, await realpath(cwd));
+
+  const id = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const branch = options.branch || `${BRANCH_PREFIX}${id}`;
+  const dir = path.resolve(options.dir || path.join(os.tmpdir(), 'claude-spawn-worktrees', `${path.basename(root)}-${id}`));
+  const baseCommit = (await git(['rev-parse', '--verify', `${base}^{commit}`], root)).trim();
+
+  await git(['worktree', 'add', '-b', branch, dir, baseCommit], root);
+  await git(['worktree', 'lock', '--reason', `claude-spawn pid ${process.pid}`, dir], root);
+
+  return { root, path: dir, cwd: path.join(dir, relative), branch, base: baseCommit };
+}
+
+/**
+ * Mark a worktree as used by another process, such as a background run,
+ * so `cleanWorktrees` leaves it alone while that process is alive
+ * @param {Object} worktree - From createWorktree
+ * @param {number} pid - Process using the worktree
+ */
+async function lockWorktree(worktree, pid) {
+  await unlockWorktree(worktree.path, worktree.root);
+  await git(['worktree', 'lock', '--reason', `claude-spawn pid ${pid}`, worktree.path], worktree.root);
+}
+
+async function unlockWorktree(dir, root) {
+  // Fails when the worktree is not locked
+  await git(['worktree', 'unlock', dir], root).catch(() => {});
+}
+
+function parseNameStatus(output) {
+  return output.split('\n').filter(Boolean).map((line) => {
+    const [code, ...paths] = line.split('\t');
+    const status = FILE_STATUS[code[0]] || 'modified';
+    return paths.length > 1
+      ? { path: paths[1], status, from: paths[0] }
+      : { path: paths[0], status };
+  });
+}
+
+/**
+ * Commit what the run left in a worktree, collect the diff against the base
+ * commit, and remove the worktree and branch unless they are kept
+ * @param {Object} worktree - From createWorktree
+ * @param {Object} options - Finishing options
+ * @param {string} options.message - Commit message for uncommitted changes
+ * @param {boolean} options.keepBranch - Keep the branch (default: only when it has changes)
+ * @param {boolean} options.keepWorktree - Leave the worktree directory in place; implies keepBranch (default: false)
+ * @returns {Promise<Object>} `{ path, branch, base, commit, changedFiles, diff, keptBranch, keptWorktree }`;
+ *   commit is null when nothing changed
+ */
+async function finishWorktree(worktree, options = {}) {
+  const { message = 'Changes from claude-spawn', keepWorktree = false } = options;
+
+  await git(['add', '-A'], worktree.path);
+  if ((await git(['status', '--porcelain'], worktree.path)).trim()) {
+    const identity = await git(['config', 'user.email'], worktree.path).then(() => [], () => FALLBACK_IDENTITY);
+    await git([...identity, 'commit', '--quiet', '--no-verify', '-m', message], worktree.path);
+  }
+
+  const head = (await git(['rev-parse', 'HEAD'], worktree.path)).trim();
+  const commit = head !== worktree.base ? head : null;
+  const changedFiles = commit ? parseNameStatus(await git(['diff', '--name-status', '-M', worktree.base, head], worktree.path)) : [];
+  const diff = commit ? await git(['diff', worktree.base, head], worktree.path) : '';
+
+  const keptWorktree = keepWorktree;
+  const keptBranch = keptWorktree || (options.keepBranch !== undefined ? Boolean(options.keepBranch) : commit !== null);
+
+  // The run is over, so a kept worktree is a leftover for `cleanWorktrees`
+  await unlockWorktree(worktree.path, worktree.root);
+  if (!keptWorktree) {
+    await git(['worktree', 'remove', '--force', worktree.path], worktree.root);
+  }
+  if (!keptBranch) {
+    await git(['branch', '-D', worktree.branch], worktree.root);
+  }
+
+  return {
+    path: worktree.path,
+    branch: worktree.branch,
+    base: worktree.base,
+    commit,
+    changedFiles,
+    diff,
+    keptBranch,
+    keptWorktree
+  };
+}
+
+/**
+ * Remove a worktree and its branch without collecting anything
+ * @param {Object} worktree - From createWorktree
+ */
+async function discardWorktree(worktree) {
+  await unlockWorktree(worktree.path, worktree.root);
+  await git(['worktree', 'remove', '--force', worktree.path], worktree.root);
+  await git(['branch', '-D', worktree.branch], worktree.root);
+}
+
+/**
+ * Worktrees of a repository that are on claude-spawn branches
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Promise<Object[]>} `{ path, branch, head, locked, pid }`; `pid` is the process a
+ *   claude-spawn lock names
+ */
+async function listWorktrees(cwd = process.cwd()) {
+  const root = await findRepoRoot(cwd);
+  const output = await git(['worktree', 'list', '--porcelain'], root);
+
+  return output.split('\n\n').filter(Boolean).map((block) => {
+    const fields = {};
+    for (const line of block.split('\n')) {
+      const separator = line.indexOf(' ');
+      fields[separator === -1 ? line : line.slice(0, separator)] = separator === -1 ? true : line.slice(separator + 1);
+    }
+    const lock = typeof fields.locked === 'string' && LOCK_REASON.exec(fields.locked);
+    return {
+      path: fields.worktree,
+      branch: typeof fields.branch === 'string' ? fields.branch.replace(/^refs\/heads\//, '') : null,
+      head: fields.HEAD || null,
+      locked: Boolean(fields.locked),
+      pid: lock ? Number(lock[1]) : null
+    };
+  }).filter(worktree => worktree.branch && worktree.branch.startsWith(BRANCH_PREFIX));
+}
+
+/**
+ * Remove worktrees left behind by crashed, fire-and-forget or `keepWorktree`
+ * runs. Worktrees that a running task is using, or whose lock names a live
+ * process, are left alone; a lock only records a PID, so one reused by an
+ * unrelated process keeps its worktree until that process exits.
+ * @param {string} cwd - Directory inside the repository
+ * @param {Object} options - Clean options
+ * @param {boolean} options.branches - Also delete every claude-spawn branch, including kept ones
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @param {string} options.stateDir - Task registry directory
+ * @returns {Promise<Object>} `{ worktrees, branches, inUse }`, lists of paths and branch names
+ */
+async function cleanWorktrees(cwd = process.cwd(), options = {}) {
+  const { branches = false, dryRun = false, stateDir } = options;
+  const root = await findRepoRoot(cwd);
+
+  const running = await taskRegistry.listTasks({ stateDir, status: 'running' });
+  const isInUse = (worktree) => {
+    // Locked by hand, or by a claude-spawn run that is still going
+    if (worktree.locked && (worktree.pid === null || taskRegistry.isProcessAlive(worktree.pid))) {
+      return true;
+    }
+    return running.some((task) => {
+      const relative = path.relative(worktree.path, task.cwd || '');
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+  };
+
+  const found = await listWorktrees(root);
+  const inUse = found.filter(isInUse);
+  const removable = found.filter(worktree => !isInUse(worktree));
+
+  let removableBranches = [];
+  if (branches) {
+    const all = (await git(['for-each-ref', '--format=%(refname:short)', `refs/heads/${BRANCH_PREFIX}`], root))
+      .split('\n').filter(Boolean);
+    removableBranches = all.filter(branch => !inUse.some(worktree => worktree.branch === branch));
+  }
+
+  if (!dryRun) {
+    for (const worktree of removable) {
+      // Left locked by a run that crashed
+      if (worktree.locked) await unlockWorktree(worktree.path, root);
+      await git(['worktree', 'remove', '--force', worktree.path], root);
+    }
+    await git(['worktree', 'prune'], root);
+    for (const branch of removableBranches) {
+      await git(['branch', '-D', branch], root);
+    }
+  }
+
+  return {
+    worktrees: removable.map(worktree => worktree.path),
+    branches: removableBranches,
+    inUse: inUse.map(worktree => worktree.path)
+  };
+}
+
+module.exports = {
+  BRANCH_PREFIX,
+  findRepoRoot,
+  createWorktree,
+  lockWorktree,
+  finishWorktree,
+  discardWorktree,
+  listWorktrees,
+  cleanWorktrees
+};
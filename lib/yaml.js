@@ -0,0 +1,349 @@
+/**
+ * Parser for the subset of YAML used by batch manifests and workflow files:
+ * block mappings and sequences, plain and quoted scalars, `|` / `>` block
+ * scalars, single-line flow collections (`[a, b]`, `{ a: 1 }`) and comments.
+ * Anchors, tags and multiple documents are not supported.
+ */
+
+const MAPPING_ENTRY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#[\]{},-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+|$)/;
+
+function yamlError(message, line) {
+  return new SyntaxError(line ? `${message} (line ${line})` : message);
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+// Drop a trailing comment that is not inside quotes
+function stripComment(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text;
+}
+
+function unquote(text) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw yamlError(`Invalid double-quoted string: ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) {
+      throw yamlError(`Invalid single-quoted string: ${text}`);
+    }
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  return text;
+}
+
+function parseScalar(text) {
+  if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+  if (text.startsWith('"') || text.startsWith("'")) return unquote(text);
+  if (text.startsWith('[') || text.startsWith('{')) return parseFlow(text);
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(?:\d+|\d*\.\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+// Single-line flow collection
+function parseFlow(text) {
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const token = (stops) => {
+    skipSpace();
+    const start = i;
+    if (text[i] === '"' || text[i] === "'") {
+      const quote = text[i++];
+      while (i < text.length) {
+        if (quote === '"' && text[i] === '\\') {
+          i += 2;
+        } else if (text[i] === quote && quote === "'" && text[i + 1] === "'") {
+          i += 2;
+        } else if (text[i++] === quote) {
+          break;
+        }
+      }
+      return text.slice(start, i);
+    }
+    while (i < text.length && !stops.includes(text[i])) i++;
+    return text.slice(start, i).trim();
+  };
+
+  const expect = (char) => {
+    skipSpace();
+    if (text[i] !== char) throw yamlError(`Expected "${char}" in ${text}`);
+    i++;
+  };
+
+  const value = () => {
+    skipSpace();
+
+    if (text[i] === '[') {
+      i++;
+      const items = [];
+      skipSpace();
+      if (text[i] === ']') {
+        i++;
+        return items;
+      }
+      for (;;) {
+        items.push(value());
+        skipSpace();
+        if (text[i] === ']') {
+          i++;
+          return items;
+        }
+        expect(',');
+      }
+    }
+
+    if (text[i] === '{') {
+      i++;
+      const map = {};
+      skipSpace();
+      if (text[i] === '}') {
+        i++;
+        return map;
+      }
+      for (;;) {
+        const key = unquote(token([':', ',', '}']));
+        expect(':');
+        map[key] = value();
+        skipSpace();
+        if (text[i] === '}') {
+          i++;
+          return map;
+        }
+        expect(',');
+      }
+    }
+
+    return parseScalar(token([',', ']', '}']));
+  };
+
+  const result = value();
+  skipSpace();
+  if (i < text.length) {
+    throw yamlError(`Unexpected "${text.slice(i)}" after ${text.slice(0, i)}`);
+  }
+  return result;
+}
+
+class YamlParser {
+  constructor(text) {
+    this.lines = text.replace(/\r\n?/g, '\n').split('\n');
+    this.index = 0;
+  }
+
+  // Next line with content, without consuming it
+  peek() {
+    while (this.index < this.lines.length) {
+      const raw = this.lines[this.index];
+      const trimmed = raw.trim();
+
+      if (trimmed === '' || trimmed.startsWith('#') || trimmed === '---' || trimmed === '...') {
+        this.index++;
+        continue;
+      }
+      if (/^ *\t/.test(raw)) {
+        throw yamlError('Tabs are not allowed for indentation', this.index + 1);
+      }
+
+      return {
+        indent: raw.length - raw.trimStart().length,
+        text: stripComment(trimmed),
+        line: this.index + 1
+      };
+    }
+    return null;
+  }
+
+  parseDocument() {
+    const first = this.peek();
+    if (!first) return null;
+
+    const value = this.parseBlock(first.indent);
+    const rest = this.peek();
+    if (rest) {
+      throw yamlError(`Unexpected content "${rest.text}"`, rest.line);
+    }
+    return value;
+  }
+
+  parseBlock(indent) {
+    const line = this.peek();
+
+    if (isSequenceItem(line.text)) return this.parseSequence(indent);
+    if (MAPPING_ENTRY.test(line.text)) return this.parseMapping(indent);
+
+    this.index++;
+    return this.parseValue(line.text, indent - 1, line.line);
+  }
+
+  // Value of a `key:` or `-` with nothing after it
+  parseNested(indent, allowSequence) {
+    const line = this.peek();
+    if (!line) return null;
+    if (line.indent > indent) return this.parseBlock(line.indent);
+    // "key:" may be followed by a sequence at the key's own indentation
+    if (allowSequence && line.indent === indent && isSequenceItem(line.text)) {
+      return this.parseSequence(indent);
+    }
+    return null;
+  }
+
+  parseSequence(indent) {
+    const items = [];
+
+    for (;;) {
+      const line = this.peek();
+      if (!line || line.indent < indent) break;
+      if (line.indent > indent) throw yamlError('Unexpected indentation', line.line);
+      if (!isSequenceItem(line.text)) break;
+
+      this.index++;
+      const rest = line.text.slice(1).trimStart();
+
+      if (rest === '') {
+        items.push(this.parseNested(indent, false));
+      } else if (MAPPING_ENTRY.test(rest)) {
+        // "- key: value" starts a mapping whose keys line up with "key"
+        const keyIndent = line.indent + line.text.length - rest.length;
+        items.push(this.parseMapping(keyIndent, rest, line.line));
+      } else if (isSequenceItem(rest)) {
+        throw yamlError('Nested sequences must start on their own line', line.line);
+      } else {
+        items.push(this.parseValue(rest, indent, line.line));
+      }
+    }
+
+    return items;
+  }
+
+  parseMapping(indent, firstText, firstLine) {
+    const map = {};
+    let text = firstText;
+    let lineNumber = firstLine;
+
+    for (;;) {
+      if (text === undefined) {
+        const line = this.peek();
+        if (!line || line.indent < indent) break;
+        if (line.indent > indent) throw yamlError('Unexpected indentation', line.line);
+        if (!MAPPING_ENTRY.test(line.text)) break;
+
+        this.index++;
+        text = line.text;
+        lineNumber = line.line;
+      }
+
+      const match = text.match(MAPPING_ENTRY);
+      if (!match) throw yamlError(`Expected "key: value", got "${text}"`, lineNumber);
+
+      const key = unquote(match[1]);
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw yamlError(`Duplicate key "${key}"`, lineNumber);
+      }
+
+      const value = text.slice(match[0].length).trim();
+      map[key] = value === ''
+        ? this.parseNested(indent, true)
+        : this.parseValue(value, indent, lineNumber);
+      text = undefined;
+    }
+
+    return map;
+  }
+
+  parseValue(text, indent, lineNumber) {
+    const block = text.match(/^([|>])([+-]?)$/);
+    if (block) return this.parseBlockScalar(block[1], block[2], indent);
+
+    try {
+      return parseScalar(text);
+    } catch (error) {
+      throw yamlError(error.message, lineNumber);
+    }
+  }
+
+  // `|` keeps newlines, `>` folds lines into spaces; `-` strips the final newline, `+` keeps trailing blank lines
+  parseBlockScalar(style, chomp, indent) {
+    const lines = [];
+    let contentIndent = null;
+
+    while (this.index < this.lines.length) {
+      const raw = this.lines[this.index];
+      if (raw.trim() === '') {
+        lines.push('');
+        this.index++;
+        continue;
+      }
+
+      const lineIndent = raw.length - raw.trimStart().length;
+      if (contentIndent === null) {
+        if (lineIndent <= indent) break;
+        contentIndent = lineIndent;
+      }
+      if (lineIndent < contentIndent) break;
+
+      lines.push(raw.slice(contentIndent));
+      this.index++;
+    }
+
+    // Trailing blank lines belong to the scalar only with "+"
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    let text;
+    if (style === '|') {
+      text = lines.join('\n');
+    } else {
+      text = lines.reduce((folded, line, i) => {
+        if (i === 0) return line;
+        if (line === '') return `${folded}\n`;
+        return folded.endsWith('\n') || /^\s/.test(line) ? `${folded}${line}` : `${folded} ${line}`;
+      }, '');
+    }
+
+    if (lines.length === 0) return '';
+    if (chomp === '-') return text;
+    if (chomp === '+') return `${text}\n${'\n'.repeat(trailing)}`;
+    return `${text}\n`;
+  }
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML source
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} For invalid or unsupported YAML, with the line number
+ */
+function parseYaml(text) {
+  return new YamlParser(text).parseDocument();
+}
+
+module.exports = {
+  parseYaml
+};